@@ -0,0 +1,8 @@
+// Session settings. Access tokens are short-lived JWTs; refresh tokens are opaque,
+// stored hashed in the RefreshToken collection and rotated on every use.
+export const authConfig = {
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: Number(process.env.REFRESH_TOKEN_DAYS) || 30,
+    // Lifetime of the signed links that give a guest access to one order
+    guestOrderTokenDays: Number(process.env.GUEST_ORDER_TOKEN_DAYS) || 30
+};
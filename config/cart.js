@@ -0,0 +1,7 @@
+// Shopping cart settings. Guest carts are identified by an opaque token the client
+// sends in the X-Cart-Token header; they are deleted after guestCartDays without changes.
+export const cartConfig = {
+    guestCartDays: Number(process.env.GUEST_CART_DAYS) || 30,
+    maxLines: 50,
+    maxQty: 20
+};
@@ -0,0 +1,33 @@
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Outgoing mail configuration. Without SMTP credentials mail is printed to the console,
+// or written to MAIL_OUTBOX_DIR with MAIL_TRANSPORT=file, so flows can be tested locally.
+const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'); // 'console', 'file' or 'smtp'
+
+// The console and file transports keep every message, password reset links included, in logs or on disk
+if (process.env.NODE_ENV === 'production' && ['console', 'file'].includes(transport)) {
+    throw new Error(`Mail transport "${transport}" is for development only; set SMTP_HOST (or MAIL_TRANSPORT) in production`);
+}
+
+export const mailConfig = {
+    transport,
+    from: process.env.MAIL_FROM || 'Sheshri Fashion <no-reply@sheshrifashion.com>',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'sheshri-mail'),
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    },
+    // Frontend base URL used in links sent by email
+    clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+    // How long a password reset link stays valid
+    passwordResetMinutes: Number(process.env.PASSWORD_RESET_MINUTES) || 30,
+    // How long an email verification link stays valid
+    emailVerificationHours: Number(process.env.EMAIL_VERIFICATION_HOURS) || 24
+};
@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const smsProvider = process.env.SMS_PROVIDER || 'console';
+
+// The console provider prints every text, login codes included, to the logs
+if (process.env.NODE_ENV === 'production' && smsProvider === 'console') {
+    throw new Error('SMS provider "console" is for development only; set SMS_PROVIDER in production');
+}
+
+// One-time password settings for phone/email login
+export const otpConfig = {
+    length: 6,
+    ttlMinutes: Number(process.env.OTP_TTL_MINUTES) || 10,
+    // Wrong guesses allowed before a code is burned
+    maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS) || 5,
+    // Minimum gap between two codes to the same destination
+    resendCooldownSeconds: Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+    // Codes a destination may request per hour
+    maxRequestsPerHour: Number(process.env.OTP_MAX_REQUESTS_PER_HOUR) || 5,
+    // 'console' prints messages locally; register other providers in services/smsService.js
+    smsProvider
+};
@@ -1,61 +1,22 @@
 // Payment Gateway Configuration
-// This file provides a structure for payment gateway integration
-// Currently uses mock payment for testing
-// Add Razorpay credentials when available
+// Gateway implementations live in services/gateways
+// Without credentials, mock mode falls back to the in-memory mock gateway
 
-// Mock payment configuration (for testing without Razorpay account)
 export const paymentConfig = {
     mode: process.env.PAYMENT_MODE || 'mock', // 'mock' or 'live'
-    gateway: 'razorpay', // Payment gateway name
-    currency: 'INR'
+    currency: 'INR', // Catalogue prices are in this currency
+    // Currencies we can charge in, the gateway that handles each and the rate from the
+    // catalogue currency. The rate is locked on the order when it is placed.
+    currencies: {
+        INR: { gateway: process.env.PAYMENT_GATEWAY_INR || 'razorpay', exchangeRate: 1 },
+        USD: { gateway: process.env.PAYMENT_GATEWAY_USD || 'stripe', exchangeRate: Number(process.env.FX_RATE_USD) || 0.012 }
+    },
+    // How long an unpaid online order holds its stock before the sweeper releases it
+    stockHoldMinutes: Number(process.env.STOCK_HOLD_MINUTES) || 30,
+    // How often the sweeper looks for expired holds
+    reservationSweepIntervalMs: Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000
 };
 
-// Mock Razorpay instance (will be replaced with real instance)
-export const createMockPaymentOrder = async (amount, orderId) => {
-    // Simulate payment order creation
-    return {
-        id: `mock_order_${Date.now()}`,
-        amount: amount * 100, // Convert to paise
-        currency: 'INR',
-        receipt: orderId,
-        status: 'created'
-    };
-};
-
-// Mock payment verification
-export const verifyMockPayment = async (paymentData) => {
-    // Simulate successful payment verification
-    return {
-        success: true,
-        paymentId: `mock_payment_${Date.now()}`,
-        orderId: paymentData.orderId,
-        signature: `mock_signature_${Date.now()}`
-    };
-};
-
-// Real Razorpay configuration (uncomment when you have credentials)
-/*
-import Razorpay from 'razorpay';
-
-export const razorpayInstance = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
-export const createRazorpayOrder = async (amount, orderId) => {
-    const options = {
-        amount: amount * 100,
-        currency: 'INR',
-        receipt: orderId,
-        notes: {
-            orderId: orderId
-        }
-    };
-    
-    return await razorpayInstance.orders.create(options);
-};
-*/
-
 // Payment gateway helper functions
 export const formatAmount = (amount) => {
     return Math.round(amount * 100); // Convert to paise
@@ -0,0 +1,51 @@
+// Staff roles and the admin areas each one may use.
+// Routes declare the permission they need (middleware/auth.js requirePermission),
+// never a role, so a role's access can change here without touching routes.
+export const PERMISSIONS = {
+    // Products, categories, stock and review moderation
+    CATALOG: 'catalog',
+    // Orders, payments, returns, refunds, tracking and shipping zones
+    ORDERS: 'orders',
+    // Contact form messages
+    MESSAGES: 'messages',
+    // Customer accounts
+    CUSTOMERS: 'customers',
+    // Banners, coupons and job postings
+    MARKETING: 'marketing',
+    // Dashboard statistics
+    STATS: 'stats',
+    // Assigning staff roles
+    ROLES: 'roles'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+export const ROLE_PERMISSIONS = {
+    super_admin: ALL_PERMISSIONS,
+    // Accounts promoted before staff roles existed; same access as super_admin
+    admin: ALL_PERMISSIONS,
+    catalog_manager: [PERMISSIONS.CATALOG, PERMISSIONS.STATS],
+    order_fulfilment: [PERMISSIONS.ORDERS, PERMISSIONS.STATS],
+    support: [PERMISSIONS.MESSAGES, PERMISSIONS.CUSTOMERS],
+    marketing: [PERMISSIONS.MARKETING, PERMISSIONS.STATS],
+    user: []
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Every role with access to some part of the admin panel
+export const STAFF_ROLES = ROLES.filter((role) => ROLE_PERMISSIONS[role].length > 0);
+
+export const hasPermission = (role, permission) =>
+    (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export const rolesWithPermission = (permission) =>
+    ROLES.filter((role) => hasPermission(role, permission));
+
+// Customer support may edit or delete customer accounts, but another staff account
+// only by someone who can assign roles (otherwise an email change + password reset
+// would hand over a super admin account). actor is req.user, user the account acted on.
+export const canManageAccount = (actor, user) =>
+    actor.id === user._id.toString() ||
+    !STAFF_ROLES.includes(user.role) ||
+    hasPermission(actor.role, PERMISSIONS.ROLES);
@@ -0,0 +1,32 @@
+// Pricing Configuration
+// Rules used by the server to compute order totals.
+// Amounts are in rupees; override them through environment variables.
+
+const toNumber = (value, fallback) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const pricingConfig = {
+    // Fraction of the items price charged as tax (0.05 = 5%). Catalogue prices are GST inclusive by default.
+    taxRate: toNumber(process.env.TAX_RATE, 0),
+
+    // Flat shipping charge and the cart value above which shipping is free.
+    // Only used until shipping zones are set up (services/shippingService.js).
+    shippingFlatRate: toNumber(process.env.SHIPPING_FLAT_RATE, 0),
+    freeShippingThreshold: toNumber(process.env.FREE_SHIPPING_THRESHOLD, 0),
+
+    // Shipping weight in grams of products and add-ons that don't have one
+    defaultItemWeight: toNumber(process.env.DEFAULT_ITEM_WEIGHT, 500),
+
+    // Per-unit surcharges for stitching and saree add-ons
+    surcharges: {
+        stitching: toNumber(process.env.STITCHING_CHARGE, 0),
+        padding: toNumber(process.env.PADDING_CHARGE, 0),
+        preDrape: toNumber(process.env.PRE_DRAPE_CHARGE, 0),
+        petticoat: toNumber(process.env.PETTICOAT_CHARGE, 0),
+    },
+
+    // Largest difference (in rupees) tolerated between client and server totals
+    tolerance: 0.01,
+};
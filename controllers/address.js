@@ -0,0 +1,64 @@
+import {
+    listAddresses,
+    addAddress,
+    updateAddress,
+    removeAddress,
+    setDefaultAddress
+} from "../services/addressService.js";
+
+// Each handler responds with the user's full address list, default included
+
+// @desc    Get a user's saved addresses
+// @route   GET /api/users/:id/addresses
+// @access  Private/Same user or staff who can manage the account
+export const getAddresses = async (req, res, next) => {
+    try {
+        res.json(await listAddresses(req.params.id));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Save a new address
+// @route   POST /api/users/:id/addresses
+// @access  Private/Same user or staff who can manage the account
+export const createAddress = async (req, res, next) => {
+    try {
+        res.status(201).json(await addAddress(req.params.id, req.body));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Replace a saved address
+// @route   PUT /api/users/:id/addresses/:addressId
+// @access  Private/Same user or staff who can manage the account
+export const replaceAddress = async (req, res, next) => {
+    try {
+        res.json(await updateAddress(req.params.id, req.params.addressId, req.body));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Make a saved address the default
+// @route   PUT /api/users/:id/addresses/:addressId/default
+// @access  Private/Same user or staff who can manage the account
+export const makeDefaultAddress = async (req, res, next) => {
+    try {
+        res.json(await setDefaultAddress(req.params.id, req.params.addressId));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a saved address
+// @route   DELETE /api/users/:id/addresses/:addressId
+// @access  Private/Same user or staff who can manage the account
+export const deleteAddress = async (req, res, next) => {
+    try {
+        res.json(await removeAddress(req.params.id, req.params.addressId));
+    } catch (error) {
+        next(error);
+    }
+};
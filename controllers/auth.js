@@ -2,26 +2,69 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
 import { createError } from "../utils/error.js";
-import jwt from "jsonwebtoken";
-import Notification from "../models/Notification.js";
+import crypto from "crypto";
+import { pushNotification, findStaff } from "../services/notificationService.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { sendPasswordResetEmail, sendVerificationEmail } from "../services/mailService.js";
+import { requestOtp as issueOtp, verifyOtp as checkOtp, normalizePhone, normalizeEmail } from "../services/otpService.js";
+import { otpConfig } from "../config/otp.js";
+import { issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from "../services/tokenService.js";
+import { disconnectUser } from "../services/socketService.js";
+import { mailConfig } from "../config/mail.js";
+import { mergeGuestCart } from "../services/cartService.js";
+
+// Move the cart built before logging in (X-Cart-Token header) into the user's cart.
+// A failed merge must not fail the login.
+const mergeCartOnLogin = async (user, req) => {
+  try {
+    await mergeGuestCart(user._id, req.get("X-Cart-Token"));
+  } catch (err) {
+    console.error("Guest cart merge failed:", err);
+  }
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Store a fresh verification token for the user and email them the link
+const sendEmailVerification = async (user) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: new Date(Date.now() + mailConfig.emailVerificationHours * 60 * 60 * 1000),
+    }
+  );
+  await sendVerificationEmail(user, token);
+};
 
 export const register = async (req, res, next) => {
   try {
+    // Only the fields a customer may choose; role, verification flags etc. keep their defaults
+    const { username, name, email, password, phoneNumber } = req.body;
+
     const salt = bcrypt.genSaltSync(10);
-    const hash = bcrypt.hashSync(req.body.password, salt);
+    const hash = bcrypt.hashSync(password, salt);
 
     const newUser = new User({
-      ...req.body,
+      username,
+      name,
+      email,
+      phoneNumber,
       password: hash,
     });
 
     await newUser.save();
 
+    sendEmailVerification(newUser).catch((err) =>
+      console.error("Verification email failed:", err)
+    );
+
     // Notify Admins about new registration
-    const admins = await User.find({ role: 'admin' });
+    const admins = await findStaff(PERMISSIONS.CUSTOMERS);
     for (const admin of admins) {
       if (admin.notificationPreferences?.customerAlerts !== false) {
-        await Notification.create({
+        await pushNotification({
           user: admin._id,
           title: "New Customer!",
           message: `${newUser.username} just joined the family.`,
@@ -57,19 +100,17 @@ export const login = async (req, res, next) => {
 
     console.log("Login successful for:", req.body.username);
 
-    // ✅ CREATE TOKEN
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // ✅ CREATE TOKENS (short-lived access token + rotating refresh token)
+    const { token, refreshToken } = await issueSession(user, req);
+    await mergeCartOnLogin(user, req);
 
     const { password, ...otherDetails } = user._doc;
 
-    // ✅ SEND TOKEN ONLY (NO COOKIE)
+    // ✅ SEND TOKENS ONLY (NO COOKIE)
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: otherDetails,
     });
 
@@ -79,18 +120,196 @@ export const login = async (req, res, next) => {
 };
 
 
+// Same response whether or not the email is registered, so this can't be used to probe accounts
 export const forgotPassword = async (req, res, next) => {
   try {
     const user = await User.findOne({ email: req.body.email });
 
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex");
+      await User.updateOne(
+        { _id: user._id },
+        {
+          passwordResetToken: hashToken(token),
+          passwordResetExpires: new Date(Date.now() + mailConfig.passwordResetMinutes * 60 * 1000),
+        }
+      );
+
+      // Not awaited: the response time shouldn't reveal whether a mail was sent
+      sendPasswordResetEmail(user, token).catch((err) =>
+        console.error("Password reset email failed:", err)
+      );
+    }
+
+    res.status(200).json({ message: "If an account exists for that email, a reset link has been sent." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const salt = bcrypt.genSaltSync(10);
+    const hash = bcrypt.hashSync(password, salt);
+
+    // Matching and clearing the token in one update makes it single-use
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+      {
+        $set: { password: hash },
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 },
+      }
+    );
+
     if (!user) {
-      return next(createError(404, "Email not found. Please check and try again."));
+      return next(createError(400, "This reset link is invalid or has expired."));
     }
 
-    // Here implies user exist. In a real app we would generate valid token and send email.
-    // For now we just return success so frontend knows the email is valid.
+    // Whoever knew the old password is signed out everywhere
+    await revokeAllSessions(user._id);
+    disconnectUser(user._id);
 
-    res.status(200).json({ message: "Reset link sent to your email." });
+    res.status(200).json({ message: "Your password has been reset. Please log in." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOneAndUpdate(
+      { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      }
+    );
+
+    if (!user) {
+      return next(createError(400, "This verification link is invalid or has expired."));
+    }
+
+    res.status(200).json({ message: "Your email has been verified." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return next(createError(404, "User not found!"));
+    }
+    if (user.isEmailVerified) {
+      return next(createError(400, "Your email is already verified."));
+    }
+
+    await sendEmailVerification(user);
+
+    res.status(200).json({ message: "Verification email sent." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// OTP login works for existing accounts by phone number or email.
+// Returns { channel, destination, lookup } or null when neither was sent.
+const otpTarget = (body) => {
+  if (typeof body.phoneNumber === "string" && body.phoneNumber.trim()) {
+    const destination = normalizePhone(body.phoneNumber);
+    return { channel: "sms", destination, lookup: { phoneNumber: { $in: [body.phoneNumber.trim(), destination] } } };
+  }
+  if (typeof body.email === "string" && body.email.trim()) {
+    const destination = normalizeEmail(body.email);
+    return { channel: "email", destination, lookup: { email: { $in: [body.email.trim(), destination] } } };
+  }
+  return null;
+};
+
+// Same response whether or not an account exists for the phone number/email
+export const requestOtp = async (req, res, next) => {
+  try {
+    const target = otpTarget(req.body);
+    if (!target) {
+      return next(createError(400, "Phone number or email is required"));
+    }
+
+    const user = await User.findOne(target.lookup);
+    await issueOtp({ channel: target.channel, destination: target.destination, deliver: Boolean(user) });
+
+    res.status(200).json({
+      message: "If an account exists, a login code has been sent.",
+      expiresInMinutes: otpConfig.ttlMinutes,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const verifyOtp = async (req, res, next) => {
+  try {
+    const target = otpTarget(req.body);
+    if (!target || !req.body.code) {
+      return next(createError(400, "Phone number or email and code are required"));
+    }
+
+    const valid = await checkOtp({ destination: target.destination, code: req.body.code });
+    const user = valid && await User.findOne(target.lookup);
+    if (!user) {
+      return next(createError(400, "Invalid or expired code"));
+    }
+
+    // Receiving the code proves the user controls the phone/inbox
+    if (target.channel === "sms") user.isPhoneVerified = true;
+    else user.isEmailVerified = true;
+    await user.save();
+
+    const { token, refreshToken } = await issueSession(user, req);
+    await mergeCartOnLogin(user, req);
+    const { password, ...otherDetails } = user._doc;
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: otherDetails,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+export const refresh = async (req, res, next) => {
+  try {
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+    res.status(200).json({ success: true, token, refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Log out this device
+export const logout = async (req, res, next) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.status(200).json({ message: "Logged out." });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Log out every device, including the one making the request
+export const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    disconnectUser(req.user.id);
+    res.status(200).json({ message: "Logged out of all devices." });
   } catch (err) {
     next(err);
   }
@@ -129,6 +348,7 @@ export const googleAuth = async (req, res, next) => {
         // User exists with email but not Google ID - link accounts
         user.googleId = googleId;
         user.authProvider = 'google';
+        user.isEmailVerified = true; // Google has verified the address
         if (!user.name) user.name = name;
         await user.save();
       } else {
@@ -141,16 +361,17 @@ export const googleAuth = async (req, res, next) => {
           name,
           username,
           authProvider: 'google',
-          role: 'user'
+          role: 'user',
+          isEmailVerified: true
         });
 
         await user.save();
 
         // Notify Admins about new registration
-        const admins = await User.find({ role: 'admin' });
+        const admins = await findStaff(PERMISSIONS.CUSTOMERS);
         for (const admin of admins) {
           if (admin.notificationPreferences?.customerAlerts !== false) {
-            await Notification.create({
+            await pushNotification({
               user: admin._id,
               title: "New Customer!",
               message: `${user.username} just joined via Google.`,
@@ -163,18 +384,16 @@ export const googleAuth = async (req, res, next) => {
       }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    // Generate tokens
+    const { token, refreshToken } = await issueSession(user, req);
+    await mergeCartOnLogin(user, req);
 
     const { password, ...otherDetails } = user._doc;
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: otherDetails,
     });
 
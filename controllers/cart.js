@@ -0,0 +1,99 @@
+import * as cartService from "../services/cartService.js";
+import { withGuestAccess } from "../services/guestOrderService.js";
+
+// Logged-in customers use their account's cart; guests the one named by the X-Cart-Token header
+const cartOwner = (req) => ({ userId: req.user?.id, guestToken: req.get("X-Cart-Token") });
+
+// @desc    Get the cart, repriced against the catalogue
+// @route   GET /api/cart
+// @access  Public (guest token or logged in)
+export const getCart = async (req, res, next) => {
+    try {
+        res.json(await cartService.getCart(cartOwner(req)));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Add a line to the cart. A new guest cart's token is returned as cartToken.
+// @route   POST /api/cart/items
+// @access  Public (guest token or logged in)
+export const addCartItem = async (req, res, next) => {
+    try {
+        res.status(201).json(await cartService.addItem(cartOwner(req), req.body));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Change a cart line's quantity or options
+// @route   PUT /api/cart/items/:itemId
+// @access  Public (guest token or logged in)
+export const updateCartItem = async (req, res, next) => {
+    try {
+        res.json(await cartService.updateItem(cartOwner(req), req.params.itemId, req.body));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Public (guest token or logged in)
+export const removeCartItem = async (req, res, next) => {
+    try {
+        res.json(await cartService.removeItem(cartOwner(req), req.params.itemId));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Public (guest token or logged in)
+export const clearCart = async (req, res, next) => {
+    try {
+        res.json(await cartService.clearCart(cartOwner(req)));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Place an order for the cart's contents. Guests get the order's accessToken back.
+// @route   POST /api/cart/checkout
+// @access  Public (guest token or logged in)
+export const checkoutCart = async (req, res, next) => {
+    try {
+        const {
+            guest,
+            shippingAddress,
+            addressId,
+            paymentMethod,
+            couponCode,
+            currency,
+            customization,
+            itemsPrice,
+            discountPrice,
+            taxPrice,
+            shippingPrice,
+            totalPrice,
+        } = req.body;
+
+        const order = await cartService.checkoutCart(cartOwner(req), {
+            user: req.user,
+            guest,
+            shippingAddress,
+            addressId,
+            paymentMethod,
+            couponCode,
+            currency,
+            customization,
+            clientTotals: { itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice },
+        });
+
+        res.status(201).json(withGuestAccess(order));
+    } catch (error) {
+        console.error("Cart checkout error:", error);
+        next(error);
+    }
+};
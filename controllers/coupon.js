@@ -0,0 +1,107 @@
+import Coupon from "../models/Coupon.js";
+import { createError } from "../utils/error.js";
+
+const couponFields = [
+    "code", "description", "discountType", "discountValue", "maxDiscount", "minCartValue",
+    "applicableCategories", "applicableProducts", "usageLimit", "perUserLimit",
+    "validFrom", "validUntil", "isActive",
+];
+
+// Copy only the editable coupon fields from the request body
+const pickCouponFields = (body) => {
+    const data = {};
+    couponFields.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+const validateCouponData = (data) => {
+    if (data.discountType === "percentage" && data.discountValue > 100) {
+        return "Percentage discount cannot exceed 100";
+    }
+    if (data.validFrom && data.validUntil && new Date(data.validFrom) > new Date(data.validUntil)) {
+        return "Coupon validity must end after it starts";
+    }
+    return null;
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+export const getCoupons = async (req, res, next) => {
+    try {
+        const coupons = await Coupon.find({}).select("-redemptions").sort({ createdAt: -1 });
+        res.status(200).json(coupons);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get coupon by ID (with redemptions)
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+export const getCouponById = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate("redemptions.user", "name email");
+        if (!coupon) return next(createError(404, "Coupon not found"));
+
+        res.status(200).json(coupon);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+export const createCoupon = async (req, res, next) => {
+    try {
+        const data = pickCouponFields(req.body);
+
+        const invalid = validateCouponData(data);
+        if (invalid) return next(createError(400, invalid));
+
+        const coupon = await Coupon.create(data);
+        res.status(201).json(coupon);
+    } catch (error) {
+        if (error.code === 11000) return next(createError(400, "Coupon code already exists"));
+        next(error);
+    }
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) return next(createError(404, "Coupon not found"));
+
+        coupon.set(pickCouponFields(req.body));
+
+        const invalid = validateCouponData(coupon);
+        if (invalid) return next(createError(400, invalid));
+
+        const updatedCoupon = await coupon.save();
+        res.status(200).json(updatedCoupon);
+    } catch (error) {
+        if (error.code === 11000) return next(createError(400, "Coupon code already exists"));
+        next(error);
+    }
+};
+
+// @desc    Delete a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+        if (!coupon) return next(createError(404, "Coupon not found"));
+
+        res.status(200).json("Coupon has been deleted.");
+    } catch (error) {
+        next(error);
+    }
+};
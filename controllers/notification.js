@@ -1,4 +1,5 @@
 import Notification from '../models/Notification.js';
+import { emitUnreadCount } from '../services/notificationService.js';
 
 // Get user's notifications
 export const getUserNotifications = async (req, res) => {
@@ -31,6 +32,7 @@ export const markAsRead = async (req, res) => {
 
         notification.read = true;
         await notification.save();
+        await emitUnreadCount(req.user.id);
 
         res.json({ message: 'Notification marked as read' });
     } catch (error) {
@@ -45,6 +47,7 @@ export const markAllAsRead = async (req, res) => {
             { user: req.user.id, read: false },
             { read: true }
         );
+        await emitUnreadCount(req.user.id);
 
         res.json({ message: 'All notifications marked as read' });
     } catch (error) {
@@ -82,6 +85,7 @@ export const deleteNotification = async (req, res) => {
         }
 
         await notification.deleteOne();
+        await emitUnreadCount(req.user.id);
 
         res.json({ message: 'Notification deleted' });
     } catch (error) {
@@ -1,63 +1,26 @@
+import mongoose from "mongoose";
 import Order from "../models/Order.js";
-import Product from "../models/Product.js";
-import Notification from "../models/Notification.js";
 import User from "../models/User.js";
-
-// @desc    Create new order
-// @route   POST /api/orders
-// @access  Private
-// Helper to send notifications for new orders
-export const sendNewOrderNotifications = async (order, user) => {
-    try {
-        // Create User Notification
-        await Notification.create({
-            user: user._id || user.id,
-            title: "Order Placed!",
-            message: `Your order #${order._id.toString().slice(-8)} has been placed successfully.`,
-            type: "order",
-            link: "/orders",
-            read: false,
-            relatedOrder: order._id
-        });
-
-        // Notify Admins about new order
-        const admins = await User.find({ role: 'admin' });
-        for (const admin of admins) {
-            if (admin.notificationPreferences?.orderAlerts !== false) {
-                await Notification.create({
-                    user: admin._id,
-                    title: "New Order Received!",
-                    message: `Order #${order._id.toString().slice(-8)} totaling ₹${order.totalPrice} has been placed.`,
-                    type: "order",
-                    link: `/admin/order/${order._id}`,
-                    read: false,
-                    relatedOrder: order._id
-                });
-            }
-        }
-
-        // Check for Low Stock and notify admins
-        for (const item of order.orderItems) {
-            const product = await Product.findById(item.product);
-            if (product && product.countInStock <= 5) { // Threshold for low stock
-                for (const admin of admins) {
-                    if (admin.notificationPreferences?.lowStockAlerts !== false) {
-                        await Notification.create({
-                            user: admin._id,
-                            title: "Low Stock Alert!",
-                            message: `Product "${product.name}" is low in stock (${product.countInStock} remaining).`,
-                            type: "tracking",
-                            link: `/admin/product/${product._id}/edit`,
-                            read: false
-                        });
-                    }
-                }
-            }
-        }
-    } catch (error) {
-        console.error("Error sending order notifications:", error);
-    }
-};
+import { pushNotification, emitOrderUpdate, findStaff } from "../services/notificationService.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { quoteOrder } from "../services/pricingService.js";
+import { releaseOrderStock } from "../services/inventoryService.js";
+import { releaseCouponRedemption } from "../services/couponService.js";
+import { paymentConfig } from "../config/payment.js";
+import { createError } from "../utils/error.js";
+import { applyStatus, canTransition, normalizeStatus, MANUAL_STATUSES } from "../services/orderStatus.js";
+import { issueRefund, getPaymentGateway } from "../services/refundService.js";
+import { resolveCurrency, toOrderCurrency } from "../services/gateways/index.js";
+import { recordOfflinePayment } from "../services/orderPaymentService.js";
+import { listOrdersResponse } from "../services/orderSearch.js";
+import { placeOrder, isOnlinePayment } from "../services/orderService.js";
+import {
+    withGuestAccess,
+    requestOrderLookup,
+    verifyOrderLookup,
+    findClaimableOrders,
+    claimGuestOrders
+} from "../services/guestOrderService.js";
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -67,95 +30,157 @@ export const addOrderItems = async (req, res, next) => {
         const {
             orderItems,
             shippingAddress,
+            addressId,
             paymentMethod,
             itemsPrice,
+            discountPrice,
             taxPrice,
             shippingPrice,
             totalPrice,
             customization,
+            couponCode,
+            currency,
         } = req.body;
 
-        if (orderItems && orderItems.length === 0) {
-            res.status(400);
-            throw new Error("No order items");
-        }
+        const createdOrder = await placeOrder({
+            orderItems,
+            user: req.user,
+            shippingAddress,
+            addressId,
+            paymentMethod,
+            couponCode,
+            currency,
+            customization,
+            clientTotals: { itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice },
+        });
 
-        // Check for sufficient stock before creating order
-        for (const item of orderItems) {
-            let product = await Product.findById(item.product);
-
-            // If satisfied as main product
-            if (product) {
-                if (!product.inStock || product.countInStock < item.qty) {
-                    res.status(400);
-                    throw new Error(`Insufficient stock for product: ${product.name}`);
-                }
-            } else {
-                // Check if it's an add-on item
-                product = await Product.findOne({ "addOnItems._id": item.product });
-                if (product) {
-                    const addOnItem = product.addOnItems.id(item.product);
-                    if (!addOnItem || !addOnItem.inStock || addOnItem.countInStock < item.qty) {
-                        res.status(400);
-                        throw new Error(`Insufficient stock for product: ${addOnItem ? addOnItem.name : 'Unknown Add-on'}`);
-                    }
-                } else {
-                    res.status(404);
-                    throw new Error(`Product not found: ${item.name || item.product}`);
-                }
-            }
-        }
+        res.status(201).json(createdOrder);
+    } catch (error) {
+        console.error("Order creation error:", error);
+        next(error);
+    }
+};
 
-        const order = new Order({
+// @desc    Create an order without an account. The response includes the order's
+//          accessToken, sent as X-Order-Token to track or pay for it.
+// @route   POST /api/orders/guest
+// @access  Public
+export const addGuestOrder = async (req, res, next) => {
+    try {
+        const {
             orderItems,
-            user: req.user.id,
+            guest,
             shippingAddress,
             paymentMethod,
             itemsPrice,
+            discountPrice,
             taxPrice,
             shippingPrice,
             totalPrice,
             customization,
+            couponCode,
+            currency,
+        } = req.body;
+
+        const createdOrder = await placeOrder({
+            orderItems,
+            guest,
+            shippingAddress,
+            paymentMethod,
+            couponCode,
+            currency,
+            customization,
+            clientTotals: { itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice },
         });
 
-        const createdOrder = await order.save();
+        res.status(201).json(withGuestAccess(createdOrder));
+    } catch (error) {
+        console.error("Guest order creation error:", error);
+        next(error);
+    }
+};
 
-        // Update product stock
-        for (const item of orderItems) {
-            // Try updating as main product
-            const updatedMain = await Product.findByIdAndUpdate(item.product, {
-                $inc: { countInStock: -item.qty }
-            });
+// @desc    Send a code to look up guest orders by email or phone
+// @route   POST /api/orders/lookup/request
+// @access  Public
+export const requestGuestOrderLookup = async (req, res, next) => {
+    try {
+        await requestOrderLookup(req.body);
 
-            if (!updatedMain) {
-                // If not found, try updating as add-on item
-                await Product.findOneAndUpdate(
-                    { "addOnItems._id": item.product },
-                    { $inc: { "addOnItems.$.countInStock": -item.qty } }
-                );
-            }
-        }
+        // Same answer whether or not there are orders for the email/phone
+        res.json({ message: "If there are orders for these details, a code has been sent." });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Only send notifications immediately for COD
-        // Online payment notifications will be sent after payment verification
+// @desc    List guest orders (with access tokens) for a valid lookup code
+// @route   POST /api/orders/lookup/verify
+// @access  Public
+export const verifyGuestOrderLookup = async (req, res, next) => {
+    try {
+        const orders = await verifyOrderLookup(req.body);
+        res.json({ orders });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        const isOnlinePayment = paymentMethod &&
-            (paymentMethod.toLowerCase() === 'online' || paymentMethod.toLowerCase() === 'razorpay');
+// @desc    Guest orders placed with the user's verified email or phone
+// @route   GET /api/orders/claimable
+// @access  Private
+export const getClaimableOrders = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return next(createError(404, "User not found"));
 
-        if (!isOnlinePayment) {
-            await sendNewOrderNotifications(createdOrder, req.user);
-        }
+        res.json(await findClaimableOrders(user));
+    } catch (error) {
+        next(error);
+    }
+};
 
-        res.status(201).json(createdOrder);
+// @desc    Add those guest orders to the user's account
+// @route   POST /api/orders/claim
+// @access  Private
+export const claimOrders = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return next(createError(404, "User not found"));
+
+        const claimed = await claimGuestOrders(user);
+        res.json({ claimed });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get server-computed prices for a cart
+// @route   POST /api/orders/quote
+// @access  Public
+export const getOrderQuote = async (req, res, next) => {
+    try {
+        const { orderItems, couponCode, postalCode, state } = req.body;
+        const quote = await quoteOrder(orderItems, {
+            couponCode,
+            shippingAddress: postalCode ? { postalCode, state } : undefined,
+        });
+        const currency = resolveCurrency(req.body.currency);
+        const { exchangeRate } = paymentConfig.currencies[currency];
+
+        // Amount the customer will be charged when paying in another currency
+        res.json({
+            ...quote,
+            payable: { currency, exchangeRate, amount: toOrderCurrency(quote.totalPrice, exchangeRate) }
+        });
     } catch (error) {
-        console.error("Order creation error:", error);
         next(error);
     }
 };
 
 // @desc    Get order by ID
 // @route   GET /api/orders/:id
-// @access  Private
+// @access  Private/Owner or Admin
 export const getOrderById = async (req, res, next) => {
     const order = await Order.findById(req.params.id).populate(
         "user",
@@ -170,28 +195,19 @@ export const getOrderById = async (req, res, next) => {
     }
 };
 
-// @desc    Update order to paid
-// @route   PUT /api/orders/:id/pay
-// @access  Private
-export const updateOrderToPaid = async (req, res, next) => {
-    const order = await Order.findById(req.params.id);
-
-    if (order) {
-        order.isPaid = true;
-        order.paidAt = Date.now();
-        order.paymentResult = {
-            id: req.body.id,
-            status: req.body.status,
-            update_time: req.body.update_time,
-            email_address: req.body.email_address,
-        };
-
-        const updatedOrder = await order.save();
-
-        res.json(updatedOrder);
-    } else {
-        res.status(404);
-        throw new Error("Order not found");
+// @desc    Record a payment received outside the gateways (COD, bank transfer, ...)
+// @route   POST /api/orders/:id/offline-payment
+// @access  Private/Admin
+export const recordOrderOfflinePayment = async (req, res, next) => {
+    try {
+        const order = await recordOfflinePayment(req.params.id, req.body, {
+            userId: req.user.id,
+            ip: req.ip,
+            userAgent: req.headers["user-agent"],
+        });
+        res.json(order);
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -202,10 +218,10 @@ export const updateOrderToDelivered = async (req, res, next) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-        order.isDelivered = true;
-        order.deliveredAt = Date.now();
+        applyStatus(order, 'delivered', { message: 'Order delivered', updatedBy: req.user.id });
 
         const updatedOrder = await order.save();
+        emitOrderUpdate(updatedOrder);
 
         res.json(updatedOrder);
     } else {
@@ -231,44 +247,24 @@ export const getMyOrders = async (req, res, next) => {
 // @desc    Get all orders
 // @route   GET /api/orders
 // @access  Private/Admin
+// Filters, search, sort and cursor: see orderListQuerySchema (validations/order.validation.js).
+// Without any of them the response is the first page as a bare array (see listOrdersResponse).
 export const getOrders = async (req, res, next) => {
-    const orders = await Order.find({}).populate("user", "id name").sort({ createdAt: -1 });
-    res.json(orders);
+    const result = await listOrdersResponse(req.query);
+    res.json(result);
 };
 
 // @desc    Cancel order
 // @route   PUT /api/orders/:id/cancel
-// @access  Private
+// @access  Private/Owner or Admin
 export const cancelOrder = async (req, res, next) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-        if (order.user.toString() !== req.user.id && req.user.role !== 'admin') {
-            res.status(401);
-            throw new Error('Not authorized to cancel this order');
+        if (!canTransition(order.trackingStatus, 'cancelled') || order.trackingStatus === 'cancelled') {
+            throw createError(409, `Cannot cancel order that is ${order.trackingStatus}`);
         }
 
-        if (order.trackingStatus === 'delivered' || order.trackingStatus === 'shipped' || order.trackingStatus === 'cancelled') {
-            res.status(400);
-            throw new Error(`Cannot cancel order that is ${order.trackingStatus}`);
-        }
-
-        // Restore stock
-        for (const item of order.orderItems) {
-            const updatedMain = await Product.findByIdAndUpdate(item.product, {
-                $inc: { countInStock: item.qty }
-            });
-
-            if (!updatedMain) {
-                await Product.findOneAndUpdate(
-                    { "addOnItems._id": item.product },
-                    { $inc: { "addOnItems.$.countInStock": item.qty } }
-                );
-            }
-        }
-
-        order.trackingStatus = 'cancelled';
-
         let cancellationMessage = 'Order cancelled by user';
 
         // Handle Refund Logic for Paid Orders
@@ -281,18 +277,30 @@ export const cancelOrder = async (req, res, next) => {
             cancellationMessage = 'Order cancelled. Refund initiated to original payment source.';
         }
 
-        if (order.trackingHistory) {
-            order.trackingHistory.push({
-                status: 'cancelled',
-                message: cancellationMessage,
-                updatedBy: req.user.id
-            });
-        }
+        applyStatus(order, 'cancelled', { message: cancellationMessage, updatedBy: req.user?.id });
 
-        const updatedOrder = await order.save();
+        // Restore stock (unless already released) and save the cancellation together
+        let updatedOrder;
+        await mongoose.connection.transaction(async (session) => {
+            await releaseOrderStock(order._id, session);
+            await releaseCouponRedemption(order, session);
+            order.stockReleased = true;
+            order.reservationExpiresAt = undefined;
+            updatedOrder = await order.save({ session });
+        });
+
+        // Refund paid orders through the gateway. Offline payments stay refund_pending for a manual refund.
+        if (getPaymentGateway(order)) {
+            try {
+                await issueRefund(order, { reason: 'Order cancelled', initiatedBy: req.user?.id });
+            } catch (error) {
+                console.error("Cancellation refund error:", error);
+            }
+        }
+        emitOrderUpdate(updatedOrder);
 
         // Notify User
-        await Notification.create({
+        await pushNotification({
             user: order.user,
             title: "Order Cancelled",
             message: `Your order #${order._id.toString().slice(-8)} has been cancelled.`,
@@ -303,10 +311,10 @@ export const cancelOrder = async (req, res, next) => {
         });
 
         // Notify Admins
-        const admins = await User.find({ role: 'admin' });
+        const admins = await findStaff(PERMISSIONS.ORDERS);
         for (const admin of admins) {
             if (admin.notificationPreferences?.orderAlerts !== false) {
-                await Notification.create({
+                await pushNotification({
                     user: admin._id,
                     title: "Order Cancelled by User",
                     message: `Order #${order._id.toString().slice(-8)} has been cancelled by the customer.`,
@@ -325,9 +333,6 @@ export const cancelOrder = async (req, res, next) => {
     }
 };
 
-// @desc    Strictly delete order and restore stock (for failed/cancelled online payments)
-// @route   PUT /api/orders/:id/abandon
-// @access  Private
 // @desc    Update multiple orders status
 // @route   PUT /api/orders/bulk-update
 // @access  Private/Admin
@@ -340,25 +345,29 @@ export const updateOrdersStatus = async (req, res, next) => {
     }
 
     try {
-        const updateData = {};
-
-        if (status === 'delivered') {
-            updateData.isDelivered = true;
-            updateData.deliveredAt = Date.now();
-            updateData.trackingStatus = 'delivered';
-        } else if (status === 'paid') {
-            updateData.isPaid = true;
-            updateData.paidAt = Date.now();
-        } else if (['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery'].includes(status)) {
-            updateData.trackingStatus = status;
+        // Statuses with side effects (cancelled, returned, expired) have their own flows, and
+        // payment only comes from the gateways or recordOrderOfflinePayment
+        const nextStatus = normalizeStatus(status);
+        if (!MANUAL_STATUSES.includes(nextStatus)) {
+            throw createError(400, `Invalid status for bulk update: ${status}`);
         }
 
-        const result = await Order.updateMany(
-            { _id: { $in: orderIds } },
-            { $set: updateData }
-        );
+        const orders = await Order.find({ _id: { $in: orderIds } });
 
-        res.json({ message: `Successfully updated ${result.modifiedCount} orders`, modifiedCount: result.modifiedCount });
+        // All or nothing: refuse the whole batch if any order can't make the transition
+        const illegal = orders.filter(order => !canTransition(order.trackingStatus, nextStatus));
+        if (illegal.length > 0) {
+            throw createError(409, `Cannot change ${illegal.length} order(s) to ${nextStatus}: ` +
+                illegal.map(order => `#${order._id.toString().slice(-8)} is ${order.trackingStatus}`).join(', '));
+        }
+
+        for (const order of orders) {
+            applyStatus(order, nextStatus, { updatedBy: req.user.id });
+            await order.save();
+            emitOrderUpdate(order);
+        }
+
+        res.json({ message: `Successfully updated ${orders.length} orders`, modifiedCount: orders.length });
     } catch (error) {
         console.error("Bulk update error:", error);
         next(error);
@@ -369,24 +378,30 @@ export const updateOrdersStatus = async (req, res, next) => {
 // @route   PUT /api/orders/:id/return
 // @access  Private/Admin
 export const updateReturnStatus = async (req, res, next) => {
-    const { status, reason, adminNote } = req.body;
+    const { status, reason, adminNote, refundAmount } = req.body;
 
     console.log("Updating return status:", { id: req.params.id, status, adminNote });
 
     const order = await Order.findById(req.params.id);
 
     if (order) {
+        const wasCompleted = order.returnStatus === 'Completed';
+
         order.returnStatus = status;
         if (reason) order.returnReason = reason;
         if (adminNote !== undefined) order.returnAdminNote = adminNote;
 
-        if (status === 'Completed') {
-            // Logic for refund could go here if integrated with payment gateway
-            // For now, we assume manual refund or just tracking
-            order.trackingStatus = 'returned';
+        if (status === 'Completed' && !wasCompleted) {
+            applyStatus(order, 'returned', { message: 'Return completed', updatedBy: req.user.id });
+
+            // Refund through the gateway; refundAmount allows a partial refund. Offline payments are refunded manually.
+            if (getPaymentGateway(order)) {
+                await issueRefund(order, { amount: refundAmount, reason: 'Return completed', initiatedBy: req.user.id });
+            }
         }
 
         const updatedOrder = await order.save();
+        emitOrderUpdate(updatedOrder);
         res.json(updatedOrder);
     } else {
         res.status(404);
@@ -399,11 +414,12 @@ export const updateReturnStatus = async (req, res, next) => {
 // @access  Private/Admin
 export const getReturnRequests = async (req, res, next) => {
     try {
-        const orders = await Order.find({
-            returnStatus: { $in: ['Requested', 'Approved', 'Rejected', 'Completed'] }
-        }).populate("user", "id name email").sort({ updatedAt: -1 });
+        const result = await listOrdersResponse(req.query, {
+            baseFilter: { returnStatus: { $in: ['Requested', 'Approved', 'Rejected', 'Completed'] } },
+            defaultSort: 'updated',
+        });
 
-        res.json(orders);
+        res.json(result);
     } catch (error) {
         next(error);
     }
@@ -417,7 +433,7 @@ export const requestReturn = async (req, res, next) => {
     const order = await Order.findById(req.params.id);
 
     if (order) {
-        if (order.user.toString() !== req.user.id) {
+        if (order.user?.toString() !== req.user.id) {
             res.status(401);
             throw new Error('Not authorized to request return for this order');
         }
@@ -449,12 +465,13 @@ export const requestReturn = async (req, res, next) => {
         order.returnReason = reason;
 
         const updatedOrder = await order.save();
+        emitOrderUpdate(updatedOrder);
 
         // Notify Admins
-        const admins = await User.find({ role: 'admin' });
+        const admins = await findStaff(PERMISSIONS.ORDERS);
         for (const admin of admins) {
             if (admin.notificationPreferences?.orderAlerts !== false) {
-                await Notification.create({
+                await pushNotification({
                     user: admin._id,
                     title: "New Return Request",
                     message: `Return requested for Order #${order._id.toString().slice(-8)}. Reason: ${reason}${order.returnAdminNote ? `. Admin Note: ${order.returnAdminNote}` : ''}`,
@@ -473,27 +490,39 @@ export const requestReturn = async (req, res, next) => {
     }
 };
 
+// Only an online checkout that was never paid can be abandoned; anything further along
+// is cancelled or returned instead
+const ABANDONABLE_STATUSES = ['pending', 'expired'];
+
+// @desc    Strictly delete order and restore stock (for failed/cancelled online payments)
+// @route   PUT /api/orders/:id/abandon
+// @access  Private
 export const abandonOrder = async (req, res, next) => {
     try {
         const order = await Order.findById(req.params.id);
 
         if (order) {
-            // Restore stock
-            for (const item of order.orderItems) {
-                const updatedMain = await Product.findByIdAndUpdate(item.product, {
-                    $inc: { countInStock: item.qty }
-                });
-
-                if (!updatedMain) {
-                    await Product.findOneAndUpdate(
-                        { "addOnItems._id": item.product },
-                        { $inc: { "addOnItems.$.countInStock": item.qty } }
-                    );
-                }
+            if (order.isPaid) {
+                throw createError(400, 'Cannot abandon a paid order');
+            }
+            if (!isOnlinePayment(order.paymentMethod, order.currency)) {
+                throw createError(400, 'Only online payment orders can be abandoned');
+            }
+            if (!ABANDONABLE_STATUSES.includes(order.trackingStatus)) {
+                throw createError(400, `Cannot abandon an order that is ${order.trackingStatus}`);
             }
 
-            // Strictly delete the order from MongoDB
-            await Order.findByIdAndDelete(req.params.id);
+            // Restore stock (unless the sweeper already did) and strictly delete the order in one
+            // transaction. The delete re-checks the order, in case a payment arrived meanwhile.
+            await mongoose.connection.transaction(async (session) => {
+                await releaseOrderStock(order._id, session);
+                await releaseCouponRedemption(order, session);
+                const deleted = await Order.findOneAndDelete(
+                    { _id: order._id, isPaid: false, trackingStatus: { $in: ABANDONABLE_STATUSES } },
+                    { session }
+                );
+                if (!deleted) throw createError(400, 'Order can no longer be abandoned');
+            });
             res.json({ message: 'Order record permanently deleted and stock restored' });
         } else {
             res.status(404);
@@ -1,26 +1,17 @@
 import Order from '../models/Order.js';
-import { createMockPaymentOrder, verifyMockPayment, paymentConfig } from '../config/payment.js';
-import { createPaymentNotification, createOrderNotification } from '../services/notificationService.js';
-import { sendNewOrderNotifications } from './order.js';
-import Razorpay from 'razorpay';
-import crypto from 'crypto';
-
-let razorpayInstance = null;
-
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-    razorpayInstance = new Razorpay({
-        key_id: process.env.RAZORPAY_KEY_ID,
-        key_secret: process.env.RAZORPAY_KEY_SECRET
-    });
-}
+import { createPaymentNotification } from '../services/notificationService.js';
+import { markOrderPaid } from '../services/orderPaymentService.js';
+import { claimWebhookEvent, processGatewayEvent } from '../services/webhookService.js';
+import { getGateway, selectGateway, toOrderCurrency, GATEWAY_NAMES } from '../services/gateways/index.js';
+import { paymentConfig } from '../config/payment.js';
 
 // Create payment order
 export const createPaymentOrder = async (req, res) => {
     try {
-        const { amount, orderId } = req.body;
+        const { orderId } = req.body;
 
-        if (!amount || !orderId) {
-            return res.status(400).json({ message: 'Amount and order ID are required' });
+        if (!orderId) {
+            return res.status(400).json({ message: 'Order ID is required' });
         }
 
         const order = await Order.findById(orderId);
@@ -28,177 +19,143 @@ export const createPaymentOrder = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        if (order.user.toString() !== req.user.id) {
-            return res.status(403).json({ message: 'Not authorized' });
+        if (order.isPaid) {
+            return res.status(400).json({ message: 'Order is already paid' });
         }
 
-        // Use Razorpay if configured and available
-        if (razorpayInstance) {
-            const razorpayOrder = await razorpayInstance.orders.create({
-                amount: Math.round(amount * 100), // Amount in paise
-                currency: 'INR',
-                receipt: orderId,
-                notes: {
-                    orderId: orderId.toString()
-                }
-            });
-
-            res.json({
-                success: true,
-                orderId: razorpayOrder.id,
-                amount: razorpayOrder.amount,
-                currency: razorpayOrder.currency,
-                key: process.env.RAZORPAY_KEY_ID,
-                mode: 'live'
-            });
-        } else if (paymentConfig.mode === 'mock') {
-            const paymentOrder = await createMockPaymentOrder(amount, orderId);
-            res.json({
-                success: true,
-                orderId: paymentOrder.id,
-                amount: paymentOrder.amount,
-                currency: paymentOrder.currency,
-                mode: 'mock'
-            });
-        } else {
-            res.status(500).json({ message: 'Payment gateway not configured' });
-        }
+        // The gateway is picked by the order's currency (INR on Razorpay, USD on Stripe)
+        // and charged the server-side total, never an amount sent by the client
+        const gateway = selectGateway(order.currency);
+        const paymentOrder = await gateway.createOrder({
+            amount: toOrderCurrency(order.totalPrice, order.exchangeRate),
+            currency: order.currency,
+            receipt: order._id.toString(),
+            notes: {
+                orderId: order._id.toString()
+            }
+        });
+
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: { paymentGateway: gateway.name }, $addToSet: { gatewayOrderIds: paymentOrder.id } }
+        );
+
+        res.json({
+            success: true,
+            gateway: gateway.name,
+            orderId: paymentOrder.id,
+            amount: paymentOrder.amount,
+            currency: paymentOrder.currency,
+            key: paymentOrder.key,
+            clientSecret: paymentOrder.clientSecret,
+            mode: gateway.name === 'mock' ? 'mock' : 'live'
+        });
     } catch (error) {
         console.error('Create Payment Error:', error);
-        res.status(500).json({ message: error.message });
+        res.status(error.status || 500).json({ message: error.message });
     }
 };
 
 // Verify payment
 export const verifyPayment = async (req, res) => {
     try {
-        const { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderId } = req.body;
+        const { orderId } = req.body;
 
         const order = await Order.findById(orderId);
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        let isValid = false;
-        let paymentId = razorpay_payment_id;
+        if (!order.paymentGateway) {
+            return res.status(400).json({ message: 'No payment has been started for this order' });
+        }
+
+        // Each gateway checks its own checkout response (signature, PaymentIntent status, ...)
+        const gateway = getGateway(order.paymentGateway);
+        const verification = await gateway.verify({ ...req.body, orderId: order._id.toString() });
 
-        if (razorpayInstance && razorpay_signature) {
-            // Verify Signature
-            const sign = razorpay_order_id + '|' + razorpay_payment_id;
-            const expectedSign = crypto
-                .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-                .update(sign.toString())
-                .digest('hex');
+        // A correctly signed payment for some other order (e.g. a cheaper one) doesn't pay this one
+        if (verification.valid && !order.gatewayOrderIds.includes(verification.gatewayOrderId)) {
+            return res.status(400).json({ message: 'This payment does not belong to this order' });
+        }
 
-            if (razorpay_signature === expectedSign) {
-                isValid = true;
+        if (verification.valid) {
+            // Shared with the webhook: whichever arrives first marks the order paid and notifies
+            const result = await markOrderPaid(order._id, {
+                gateway: gateway.name,
+                paymentId: verification.paymentId,
+                gatewayOrderId: verification.gatewayOrderId,
+                method: verification.method,
+                email: verification.email
+            }, { message: 'Order placed and payment received' });
+
+            if (result.orderMissing) {
+                return res.status(410).json({
+                    message: result.refunded
+                        ? 'This order no longer exists. Your payment has been refunded.'
+                        : 'This order no longer exists. Your payment will be refunded; our team has been notified.'
+                });
             }
-        } else if (paymentConfig.mode === 'mock') {
-            const verification = await verifyMockPayment({
-                orderId: razorpay_order_id,
-                paymentId: razorpay_payment_id,
-                signature: razorpay_signature
-            });
-            if (verification.success) isValid = true;
-            paymentId = verification.paymentId;
-        }
 
-        if (isValid) {
-            order.isPaid = true;
-            order.paidAt = Date.now();
-            order.paymentResult = {
-                id: paymentId,
-                status: 'completed',
-                update_time: Date.now(),
-                razorpay_order_id,
-                // Capture method if available
-                payment_method: 'razorpay'
-            };
-
-            // Add tracking
-            order.trackingHistory.push({
-                status: 'pending',
-                message: 'Order placed and payment received',
-                location: 'Online',
-                timestamp: new Date()
-            });
-
-            await order.save();
-
-            // Send the notifications that were delayed during order creation
-            await sendNewOrderNotifications(order, req.user);
-
-            await createPaymentNotification(order.user, order, 'success');
-            await createOrderNotification(order.user, order, 'order_created');
-
-            res.json({ success: true, message: 'Payment verified', order });
+            if (result.orderCancelled) {
+                return res.status(409).json({
+                    message: 'This order was cancelled before the payment arrived. Your payment has been refunded.',
+                    order: result.order
+                });
+            }
+
+            if (result.stockUnavailable) {
+                return res.status(409).json({
+                    message: 'Payment received, but the reserved items are no longer available. Your payment has been refunded.',
+                    order: result.order
+                });
+            }
+
+            res.json({ success: true, message: 'Payment verified', order: result.order });
         } else {
             res.status(400).json({ message: 'Invalid payment signature' });
         }
 
     } catch (error) {
         console.error('Verify Payment Error:', error);
-        res.status(500).json({ message: error.message });
+        res.status(error.status || 500).json({ message: error.message });
     }
 };
 
-// Handle Razorpay Webhook
+// Handle gateway webhooks. /webhook is Razorpay (the URL already registered with it);
+// other gateways post to /webhook/:gateway
 export const handleWebhook = async (req, res) => {
     try {
-        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
-        const signature = req.headers['x-razorpay-signature'];
-
-        if (!signature || !secret) {
-            return res.status(400).json({ message: 'Signature and secret are required for webhook' });
+        const gatewayName = req.params.gateway || 'razorpay';
+        // Mock webhooks are only accepted in mock mode, so they can never mark a live order paid
+        const enabled = gatewayName !== 'mock' || paymentConfig.mode === 'mock';
+        if (!GATEWAY_NAMES.includes(gatewayName) || !enabled) {
+            return res.status(404).json({ message: 'Unknown payment gateway' });
         }
 
-        // Verify webhook signature
-        const expectedSignature = crypto
-            .createHmac('sha256', secret)
-            .update(JSON.stringify(req.body))
-            .digest('hex');
-
-        if (signature !== expectedSignature) {
+        // Verified against the raw request body: re-serialising req.body can reorder keys
+        const event = getGateway(gatewayName).parseWebhook(req.rawBody, req.headers);
+        if (!event) {
             return res.status(400).json({ message: 'Invalid webhook signature' });
         }
 
-        const { event, payload } = req.body;
-        // console.log(`Razorpay Webhook Received: ${event}`);
-
-        if (event === 'payment.captured') {
-            const razorpayPayment = payload.payment.entity;
-            const razorpayOrderId = razorpayPayment.order_id;
-            const orderId = razorpayPayment.notes.orderId; // We passed this in createPaymentOrder
-
-            const order = await Order.findById(orderId);
-            if (order && !order.isPaid) {
-                order.isPaid = true;
-                order.paidAt = Date.now();
-                order.paymentResult = {
-                    id: razorpayPayment.id,
-                    status: 'completed',
-                    update_time: Date.now(),
-                    razorpay_order_id: razorpayOrderId,
-                    payment_method: 'razorpay'
-                };
-
-                order.trackingStatus = 'confirmed';
-                order.trackingHistory.push({
-                    status: 'confirmed',
-                    message: 'Order confirmed via Webhook',
-                    location: 'Online',
-                    timestamp: new Date()
-                });
-
-                await order.save();
+        // Gateways retry deliveries; each event is processed once
+        const logEntry = await claimWebhookEvent(gatewayName, event.id, event.event, event.body);
+        if (!logEntry) {
+            return res.json({ status: 'duplicate' });
+        }
 
-                // Fetch user for notifications
-                // Note: req.user is not available in webhook, we need to handle notifications carefully
-                // For now, let's just mark it paid. Full notification logic would need more lookups.
-                // console.log(`Order ${orderId} marked as paid via Webhook.`);
-            }
-        } else if (event === 'payment.failed') {
-            // console.log(`Payment failed for order: ${payload.payment.entity.notes.orderId}`);
+        try {
+            const handled = await processGatewayEvent(gatewayName, event);
+            logEntry.status = handled ? 'processed' : 'ignored';
+            logEntry.processedAt = new Date();
+            logEntry.error = undefined;
+            await logEntry.save();
+        } catch (error) {
+            logEntry.status = 'failed';
+            logEntry.error = error.message;
+            await logEntry.save();
+            throw error;
         }
 
         res.json({ status: 'ok' });
@@ -209,6 +166,7 @@ export const handleWebhook = async (req, res) => {
         } else {
             console.error('Webhook Error:', error);
         }
+        // A non-2xx response makes the gateway retry the delivery
         res.status(500).json({ message: error.message });
     }
 };
@@ -237,16 +195,29 @@ export const getPaymentStatus = async (req, res) => {
     try {
         const { orderId } = req.params;
 
-        const order = await Order.findById(orderId).select('isPaid paidAt paymentResult paymentMethod');
+        const order = await Order.findById(orderId).select('isPaid paidAt paymentResult paymentMethod paymentGateway currency');
         if (!order) {
             return res.status(404).json({ message: 'Order not found' });
         }
 
+        // ?live=true also asks the gateway, e.g. to reconcile a payment whose webhook never arrived
+        let gatewayStatus;
+        if (req.query.live === 'true' && order.paymentGateway && order.paymentResult?.id) {
+            try {
+                gatewayStatus = await getGateway(order.paymentGateway).fetchStatus(order.paymentResult.id);
+            } catch (error) {
+                gatewayStatus = { error: error.message };
+            }
+        }
+
         res.json({
             isPaid: order.isPaid,
             paidAt: order.paidAt,
             paymentMethod: order.paymentMethod,
-            paymentResult: order.paymentResult
+            paymentGateway: order.paymentGateway,
+            currency: order.currency,
+            paymentResult: order.paymentResult,
+            gatewayStatus
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
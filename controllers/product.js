@@ -1,5 +1,8 @@
+import mongoose from "mongoose";
 import Product from "../models/Product.js";
 import { createError } from "../utils/error.js";
+import { escapeRegex } from "../utils/regex.js";
+import { searchProducts as runProductSearch } from "../services/productSearch.js";
 
 
 
@@ -8,8 +11,9 @@ export const getAllProducts = async (req, res, next) => {
         const { page = 1, limit = 0, category, subcategory, fields } = req.query;
 
         const query = {};
-        if (category) query.category = { $regex: new RegExp(category, "i") };
-        if (subcategory) query.subcategory = { $regex: new RegExp(subcategory, "i") };
+        // Escaped so the user's input is matched literally, never run as a pattern
+        if (category) query.category = { $regex: escapeRegex(category), $options: "i" };
+        if (subcategory) query.subcategory = { $regex: escapeRegex(subcategory), $options: "i" };
 
         let selectFields = "";
         if (fields) {
@@ -34,6 +38,16 @@ export const getAllProducts = async (req, res, next) => {
     }
 };
 
+// Text search with facet counts; filters and sorts are listed in productSearchQuerySchema
+export const searchProducts = async (req, res, next) => {
+    try {
+        const result = await runProductSearch(req.query);
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
 export const getProductById = async (req, res, next) => {
     try {
         const { id } = req.params;
@@ -55,10 +69,28 @@ export const getProductById = async (req, res, next) => {
 import cloudinary from "../config/cloudinary.js";
 import { Readable } from "stream";
 
+const skuPart = (value) => String(value || "").trim().toUpperCase().replace(/[^A-Z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Variants without a SKU get one from the style/design number (or product ID), size and colour.
+// Sizes follow the variants so the storefront only offers sizes that exist.
+const applyVariants = (data, variants, product) => {
+    const prefix = skuPart(product.styleNo || product.designNo) || product._id.toString().slice(-6).toUpperCase();
+    data.variants = variants.map((variant) => ({
+        ...variant,
+        sku: variant.sku || [prefix, variant.size, variant.color].map(skuPart).filter(Boolean).join("-")
+    }));
+
+    if (variants.length > 0) {
+        data.countInStock = variants.reduce((sum, variant) => sum + variant.countInStock, 0);
+        const sizes = [...new Set(variants.map((variant) => variant.size).filter(Boolean))];
+        if (sizes.length > 0) data.sizes = sizes;
+    }
+};
+
 export const createProduct = async (req, res, next) => {
     try {
         const {
-            name, description, price, category, subcategory, sizes, originalPrice, countInStock, inStock, addOnItems,
+            name, description, price, category, subcategory, sizes, originalPrice, countInStock, inStock, addOnItems, variants, weight,
             styleNo, designNo, color, fabric, work, packContains, manufacturedBy, productSpeciality, styleTips, fitTips
         } = req.body;
 
@@ -158,6 +190,7 @@ export const createProduct = async (req, res, next) => {
             description,
             price: Number(price),
             originalPrice: originalPrice ? Number(originalPrice) : undefined,
+            weight: weight ? Number(weight) : undefined,
             images: imageUrls,
             video: videoUrls,
             category,
@@ -177,18 +210,90 @@ export const createProduct = async (req, res, next) => {
             styleTips,
             fitTips,
         });
+        if (variants) applyVariants(newProduct, variants, newProduct);
 
         const savedProduct = await newProduct.save();
         res.status(200).json(savedProduct);
     } catch (err) {
+        if (err.code === 11000) return next(createError(400, "A variant SKU is already used by another product"));
         next(err);
     }
 };
 
+// Variant fields an admin edits; stock is handled separately (see saveVariants)
+const VARIANT_DETAILS = { sku: undefined, size: "", color: "", price: undefined, images: [] };
+
+// Write an admin's variant list onto a product without losing stock taken by checkouts in
+// the meantime. Variants matched by _id get their details set in place and their stock moved
+// by the difference from the stored count ($inc); variants left out are removed and new ones
+// added. Runs in the update's transaction, so a concurrent reserveStock makes it retry.
+const saveVariants = async (productId, variants, session) => {
+    const product = await Product.findById(productId).select("variants").session(session);
+
+    const $set = {};
+    const $unset = {};
+    const $inc = {};
+    const arrayFilters = [];
+    const added = [];
+
+    for (const variant of variants) {
+        if (!variant._id) {
+            added.push(variant);
+            continue;
+        }
+
+        const current = product.variants.id(variant._id);
+        if (!current) throw createError(400, `Variant not found: ${variant._id}`);
+
+        const key = `v${arrayFilters.length}`;
+        arrayFilters.push({ [`${key}._id`]: current._id });
+        for (const [field, fallback] of Object.entries(VARIANT_DETAILS)) {
+            const value = variant[field] ?? fallback;
+            if (value === undefined) $unset[`variants.$[${key}].${field}`] = "";
+            else $set[`variants.$[${key}].${field}`] = value;
+        }
+
+        const change = variant.countInStock - current.countInStock;
+        if (change !== 0) $inc[`variants.$[${key}].countInStock`] = change;
+    }
+
+    const kept = variants.filter((variant) => variant._id).map((variant) => String(variant._id));
+    const removed = product.variants.filter((variant) => !kept.includes(variant._id.toString()));
+
+    // Updating, removing and adding elements of the same array can't share one update
+    if (arrayFilters.length > 0) {
+        const update = Object.fromEntries(
+            Object.entries({ $set, $unset, $inc }).filter(([, fields]) => Object.keys(fields).length > 0)
+        );
+        await Product.updateOne({ _id: productId }, update, { arrayFilters, session });
+    }
+    if (removed.length > 0) {
+        await Product.updateOne(
+            { _id: productId },
+            { $pull: { variants: { _id: { $in: removed.map((variant) => variant._id) } } } },
+            { session }
+        );
+    }
+    if (added.length > 0) {
+        await Product.updateOne({ _id: productId }, { $push: { variants: { $each: added } } }, { session });
+    }
+
+    // Keep the product total in step, as the model's validate hook does on save
+    const saved = await Product.findById(productId).select("variants").session(session);
+    const skus = saved.variants.map((variant) => variant.sku);
+    if (new Set(skus).size !== skus.length) {
+        throw createError(400, "Variant SKUs must be unique");
+    }
+    if (saved.variants.length > 0) {
+        const total = saved.variants.reduce((sum, variant) => sum + variant.countInStock, 0);
+        await Product.updateOne({ _id: productId }, { $set: { countInStock: total } }, { session });
+    }
+};
+
 export const updateProduct = async (req, res, next) => {
     try {
         const {
-            name, description, price, category, subcategory, sizes, originalPrice, countInStock, inStock, addOnItems,
+            name, description, price, category, subcategory, sizes, originalPrice, countInStock, inStock, addOnItems, variants, weight,
             styleNo, designNo, color, fabric, work, packContains, manufacturedBy, productSpeciality, styleTips, fitTips
         } = req.body;
 
@@ -304,6 +409,7 @@ export const updateProduct = async (req, res, next) => {
             description,
             price: price !== undefined ? Number(price) : undefined,
             originalPrice: originalPrice !== undefined && originalPrice !== "" ? Number(originalPrice) : undefined,
+            weight: weight !== undefined && weight !== "" ? Number(weight) : undefined,
             category,
             subcategory,
             sizes: (finalSizes && finalSizes.length > 0) ? finalSizes : undefined,
@@ -331,11 +437,32 @@ export const updateProduct = async (req, res, next) => {
             }
         });
 
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id,
-            { $set: updatedProductData },
-            { new: true }
-        );
+        let variantList;
+        if (variants) {
+            const product = await Product.findById(req.params.id).select("styleNo designNo");
+            if (!product) {
+                return next(createError(404, "Product not found"));
+            }
+            applyVariants(updatedProductData, variants, { ...product.toObject(), ...updatedProductData });
+
+            // Variants and their stock total are written by saveVariants, never $set wholesale
+            variantList = updatedProductData.variants;
+            delete updatedProductData.variants;
+            if (variantList.length > 0) delete updatedProductData.countInStock;
+        }
+
+        let updatedProduct;
+        await mongoose.connection.transaction(async (session) => {
+            updatedProduct = await Product.findByIdAndUpdate(
+                req.params.id,
+                { $set: updatedProductData },
+                { new: true, session }
+            );
+            if (!updatedProduct || !variantList) return;
+
+            await saveVariants(req.params.id, variantList, session);
+            updatedProduct = await Product.findById(req.params.id).session(session);
+        });
 
         if (!updatedProduct) {
             return next(createError(404, "Product not found"));
@@ -343,6 +470,7 @@ export const updateProduct = async (req, res, next) => {
 
         res.status(200).json(updatedProduct);
     } catch (err) {
+        if (err.code === 11000) return next(createError(400, "A variant SKU is already used by another product"));
         next(err);
     }
 };
@@ -0,0 +1,39 @@
+import Order from "../models/Order.js";
+import Refund from "../models/Refund.js";
+import { issueRefund } from "../services/refundService.js";
+import { emitOrderUpdate } from "../services/notificationService.js";
+import { createError } from "../utils/error.js";
+
+// @desc    Get refunds for an order
+// @route   GET /api/orders/:id/refunds
+// @access  Private/Admin
+export const getOrderRefunds = async (req, res, next) => {
+    try {
+        const refunds = await Refund.find({ order: req.params.id })
+            .populate("initiatedBy", "name username")
+            .sort({ createdAt: -1 });
+
+        res.json(refunds);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Issue a full or partial refund for a paid order
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+export const createOrderRefund = async (req, res, next) => {
+    try {
+        const { amount, reason } = req.body;
+
+        const order = await Order.findById(req.params.id);
+        if (!order) return next(createError(404, "Order not found"));
+
+        const refund = await issueRefund(order, { amount, reason, initiatedBy: req.user.id });
+        emitOrderUpdate(order);
+
+        res.status(refund.status === "failed" ? 502 : 201).json({ refund, order });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import Review from "../models/Review.js";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import cloudinary from "../config/cloudinary.js";
+import { Readable } from "stream";
+import { createError } from "../utils/error.js";
+
+const sortOptions = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 },
+};
+
+// Recompute the denormalised rating fields of a product from its approved reviews
+const updateProductRating = async (productId) => {
+    const [stats] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: "approved" } },
+        { $group: { _id: "$product", averageRating: { $avg: "$rating" }, reviewCount: { $sum: 1 } } }
+    ]);
+
+    await Product.findByIdAndUpdate(productId, {
+        averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+        reviewCount: stats ? stats.reviewCount : 0,
+    });
+};
+
+// @desc    Get approved reviews for a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+export const getProductReviews = async (req, res, next) => {
+    try {
+        const page = Math.max(Number(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 50);
+        const sort = sortOptions[req.query.sort] || sortOptions.newest;
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next(createError(404, "Product not found"));
+        }
+
+        const filter = { product: req.params.id, status: "approved" };
+
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .populate("user", "name username")
+                .select("-order")
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Review.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            reviews,
+            page,
+            pages: Math.ceil(total / limit),
+            total,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Review a product the user has received
+// @route   POST /api/products/:id/reviews
+// @access  Private
+export const createProductReview = async (req, res, next) => {
+    try {
+        const { rating, title, comment } = req.body;
+        const productId = req.params.id;
+
+        const numericRating = Number(rating);
+        if (!Number.isInteger(numericRating) || numericRating < 1 || numericRating > 5) {
+            return next(createError(400, "Rating must be a whole number from 1 to 5"));
+        }
+
+        const product = mongoose.Types.ObjectId.isValid(productId) && await Product.findById(productId);
+        if (!product) return next(createError(404, "Product not found"));
+
+        // Only customers who received the product can review it
+        const deliveredOrder = await Order.findOne({
+            user: req.user.id,
+            trackingStatus: "delivered",
+            "orderItems.product": productId,
+        });
+        if (!deliveredOrder) {
+            return next(createError(403, "You can only review products you have received"));
+        }
+
+        const existingReview = await Review.findOne({ product: productId, user: req.user.id });
+        if (existingReview) {
+            return next(createError(400, "You have already reviewed this product"));
+        }
+
+        const imageUrls = [];
+        if (req.files && req.files.length > 0) {
+            const uploadPromises = req.files.map((file) => {
+                return new Promise((resolve, reject) => {
+                    const stream = cloudinary.uploader.upload_stream(
+                        { folder: "reviews" },
+                        (error, result) => {
+                            if (error) return reject(error);
+                            resolve(result.secure_url);
+                        }
+                    );
+                    Readable.from(file.buffer).pipe(stream);
+                });
+            });
+
+            const uploadedImages = await Promise.all(uploadPromises);
+            imageUrls.push(...uploadedImages);
+        }
+
+        const review = await Review.create({
+            product: productId,
+            user: req.user.id,
+            order: deliveredOrder._id,
+            rating: numericRating,
+            title,
+            comment,
+            images: imageUrls,
+        });
+
+        res.status(201).json(review);
+    } catch (error) {
+        if (error.code === 11000) return next(createError(400, "You have already reviewed this product"));
+        next(error);
+    }
+};
+
+// @desc    Get all reviews for moderation
+// @route   GET /api/reviews
+// @access  Private/Admin
+export const getReviews = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.status) filter.status = req.query.status;
+
+        const reviews = await Review.find(filter)
+            .populate("user", "name email")
+            .populate("product", "name images")
+            .sort({ createdAt: -1 });
+
+        res.status(200).json(reviews);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Approve or hide a review
+// @route   PUT /api/reviews/:id/status
+// @access  Private/Admin
+export const updateReviewStatus = async (req, res, next) => {
+    try {
+        const { status } = req.body;
+        if (!["approved", "hidden"].includes(status)) {
+            return next(createError(400, "Status must be approved or hidden"));
+        }
+
+        const review = await Review.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status } },
+            { new: true }
+        );
+        if (!review) return next(createError(404, "Review not found"));
+
+        await updateProductRating(review.product);
+
+        res.status(200).json(review);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private/Admin
+export const deleteReview = async (req, res, next) => {
+    try {
+        const review = await Review.findByIdAndDelete(req.params.id);
+        if (!review) return next(createError(404, "Review not found"));
+
+        await updateProductRating(review.product);
+
+        res.status(200).json("Review has been deleted.");
+    } catch (error) {
+        next(error);
+    }
+};
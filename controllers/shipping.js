@@ -0,0 +1,115 @@
+import ShippingZone from "../models/ShippingZone.js";
+import { checkServiceability } from "../services/shippingService.js";
+import { createError } from "../utils/error.js";
+
+const zoneFields = [
+    "name", "pinCodes", "pinPrefixes", "states", "isServiceable", "rateType", "flatRate",
+    "rateSlabs", "freeShippingThreshold", "codAvailable", "deliveryDays", "isActive",
+];
+
+// Copy only the editable zone fields from the request body
+const pickZoneFields = (body) => {
+    const data = {};
+    zoneFields.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+const validateZoneData = (data) => {
+    if (data.rateType && data.rateType !== "flat" && !data.rateSlabs?.length) {
+        return `A ${data.rateType}-based rate needs at least one rate slab`;
+    }
+    return null;
+};
+
+// @desc    Check delivery to a PIN code: serviceability, COD, rates and delivery estimate
+// @route   GET /api/shipping/check?pin=
+// @access  Public
+export const checkShipping = async (req, res, next) => {
+    try {
+        const result = await checkServiceability(req.query);
+        res.status(200).json(result);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get all shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private/Admin
+export const getShippingZones = async (req, res, next) => {
+    try {
+        const zones = await ShippingZone.find({}).sort({ name: 1 });
+        res.status(200).json(zones);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get shipping zone by ID
+// @route   GET /api/shipping/zones/:id
+// @access  Private/Admin
+export const getShippingZoneById = async (req, res, next) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) return next(createError(404, "Shipping zone not found"));
+
+        res.status(200).json(zone);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private/Admin
+export const createShippingZone = async (req, res, next) => {
+    try {
+        const data = pickZoneFields(req.body);
+
+        const invalid = validateZoneData(data);
+        if (invalid) return next(createError(400, invalid));
+
+        const zone = await ShippingZone.create(data);
+        res.status(201).json(zone);
+    } catch (error) {
+        if (error.code === 11000) return next(createError(400, "A shipping zone with this name already exists"));
+        next(error);
+    }
+};
+
+// @desc    Update a shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private/Admin
+export const updateShippingZone = async (req, res, next) => {
+    try {
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) return next(createError(404, "Shipping zone not found"));
+
+        zone.set(pickZoneFields(req.body));
+
+        const invalid = validateZoneData(zone);
+        if (invalid) return next(createError(400, invalid));
+
+        const updatedZone = await zone.save();
+        res.status(200).json(updatedZone);
+    } catch (error) {
+        if (error.code === 11000) return next(createError(400, "A shipping zone with this name already exists"));
+        next(error);
+    }
+};
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private/Admin
+export const deleteShippingZone = async (req, res, next) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+        if (!zone) return next(createError(404, "Shipping zone not found"));
+
+        res.status(200).json("Shipping zone has been deleted.");
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,12 +1,14 @@
 import Order from "../models/Order.js";
 import Product from "../models/Product.js";
 import User from "../models/User.js";
+import { STATUS_LABELS } from "../services/orderStatus.js";
+import { STAFF_ROLES } from "../config/permissions.js";
 
 export const getDashboardStats = async (req, res) => {
     try {
-        const orders = await Order.find({ trackingStatus: { $ne: "cancelled" } });
+        const orders = await Order.find({ trackingStatus: { $nin: ["cancelled", "expired"] } });
         const productsCount = await Product.countDocuments();
-        const totalUsers = await User.countDocuments({ role: { $ne: "admin" } });
+        const totalUsers = await User.countDocuments({ role: { $nin: STAFF_ROLES } });
 
         // Calculate unique customers (users with at least one non-cancelled order)
         const customerIds = [...new Set(orders.map(order => order.user?.toString()).filter(id => id))];
@@ -27,7 +29,7 @@ export const getDashboardStats = async (req, res) => {
 
             const monthOrders = await Order.find({
                 createdAt: { $gte: startDate, $lte: endDate },
-                trackingStatus: { $ne: "cancelled" }
+                trackingStatus: { $nin: ["cancelled", "expired"] }
             });
 
             // Previous month
@@ -35,7 +37,7 @@ export const getDashboardStats = async (req, res) => {
             const prevMonthEndDate = new Date(currentYear, i, 0);
             const prevMonthOrders = await Order.find({
                 createdAt: { $gte: prevMonthStartDate, $lte: prevMonthEndDate },
-                trackingStatus: { $ne: "cancelled" }
+                trackingStatus: { $nin: ["cancelled", "expired"] }
             });
 
             const revenue = monthOrders.reduce((sum, order) => sum + (order.totalPrice || 0), 0);
@@ -50,7 +52,7 @@ export const getDashboardStats = async (req, res) => {
 
         // Sales by payment method (for pie chart)
         const paymentMethods = await Order.aggregate([
-            { $match: { trackingStatus: { $ne: "cancelled" } } },
+            { $match: { trackingStatus: { $nin: ["cancelled", "expired"] } } },
             { $group: { _id: "$paymentMethod", value: { $sum: "$totalPrice" } } }
         ]);
 
@@ -62,7 +64,7 @@ export const getDashboardStats = async (req, res) => {
 
         // Top Selling Products
         const topSellingProducts = await Order.aggregate([
-            { $match: { trackingStatus: { $ne: "cancelled" } } },
+            { $match: { trackingStatus: { $nin: ["cancelled", "expired"] } } },
             { $unwind: "$orderItems" },
             {
                 $group: {
@@ -86,7 +88,7 @@ export const getDashboardStats = async (req, res) => {
                         $gte: new Date(currentYear, 0, 1),
                         $lte: new Date(currentYear, 11, 31)
                     },
-                    role: { $ne: "admin" }
+                    role: { $nin: STAFF_ROLES }
                 }
             },
             {
@@ -121,23 +123,45 @@ export const getDashboardStats = async (req, res) => {
             "confirmed": "#3B82F6",
             "processing": "#6366F1",
             "shipped": "#8B5CF6",
-            "Out for delivery": "#EC4899",
+            "out_for_delivery": "#EC4899",
             "delivered": "#10B981",
-            "cancelled": "#EF4444"
+            "cancelled": "#EF4444",
+            "returned": "#F97316",
+            "expired": "#6B7280"
         };
 
         const orderStatusData = orderStatusBreakdown.map(status => ({
-            name: status._id.charAt(0).toUpperCase() + status._id.slice(1),
+            name: STATUS_LABELS[status._id] || status._id,
             value: status.count,
             color: statusColors[status._id] || "#9CA3AF"
         }));
 
-        // Low Stock Alerts (Products with less than 10 items)
-        const lowStockProducts = await Product.find({
-            countInStock: { $lt: 10, $gt: 0 }
-        })
-            .select('name countInStock images price category')
-            .limit(5);
+        // Low Stock Alerts (less than 10 items). Products with variants are listed
+        // per size/colour, since their total can hide a sold-out variant.
+        const lowStockProducts = await Product.aggregate([
+            { $unwind: { path: "$variants", preserveNullAndEmptyArrays: true } },
+            {
+                $project: {
+                    name: 1,
+                    category: 1,
+                    countInStock: { $ifNull: ["$variants.countInStock", "$countInStock"] },
+                    price: { $ifNull: ["$variants.price", "$price"] },
+                    images: {
+                        $cond: [{ $gt: [{ $size: { $ifNull: ["$variants.images", []] } }, 0] }, "$variants.images", "$images"]
+                    },
+                    variant: {
+                        $cond: [
+                            { $ifNull: ["$variants", false] },
+                            { _id: "$variants._id", sku: "$variants.sku", size: "$variants.size", color: "$variants.color" },
+                            "$$REMOVE"
+                        ]
+                    }
+                }
+            },
+            { $match: { countInStock: { $lt: 10, $gt: 0 } } },
+            { $sort: { countInStock: 1, _id: 1 } },
+            { $limit: 5 }
+        ]);
 
         const responseData = {
             totalSales: totalRevenue,
@@ -1,5 +1,7 @@
 import Order from '../models/Order.js';
-import { createTrackingNotification } from '../services/notificationService.js';
+import { createTrackingNotification, emitOrderUpdate } from '../services/notificationService.js';
+import { applyStatus, normalizeStatus, MANUAL_STATUSES } from '../services/orderStatus.js';
+import { listOrdersResponse } from '../services/orderSearch.js';
 
 // Update order tracking status
 export const updateOrderTracking = async (req, res) => {
@@ -7,47 +9,34 @@ export const updateOrderTracking = async (req, res) => {
         const { orderId } = req.params;
         const { status, message, location, trackingNumber, courierPartner, estimatedDelivery } = req.body;
 
-        console.log('UPDATING TRACKING - Order ID:', orderId);
-        console.log('Update Data:', req.body);
-
         const order = await Order.findById(orderId);
         if (!order) {
-            console.log('Order not found for ID:', orderId);
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        // Update tracking status
-        order.trackingStatus = status;
+        // Cancelling, returning and expiring go through their own flows, which release
+        // stock and coupons and refund payments
+        if (!MANUAL_STATUSES.includes(normalizeStatus(status))) {
+            return res.status(400).json({ message: `Invalid status for a tracking update: ${status}` });
+        }
 
-        // Add to tracking history
-        order.trackingHistory.push({
-            status,
-            message: message || `Order status updated to ${status}`,
-            location: location || '',
-            timestamp: new Date(),
-            updatedBy: req.user.id
-        });
+        // Validate the transition, update the status and add to tracking history
+        applyStatus(order, status, { message, location, updatedBy: req.user.id });
 
         // Update optional fields if provided
         if (trackingNumber) order.trackingNumber = trackingNumber;
         if (courierPartner) order.courierPartner = courierPartner;
         if (estimatedDelivery) order.estimatedDelivery = estimatedDelivery;
 
-        // Update delivery status if delivered
-        if (status === 'delivered') {
-            order.isDelivered = true;
-            order.deliveredAt = new Date();
-            order.actualDelivery = new Date();
-        }
-
-        console.log('Attempting to save order updates...');
         await order.save();
-        console.log('Order saved successfully');
+
+        // Push the new status to the customer and admin dashboards
+        emitOrderUpdate(order);
 
         // Create notification for customer
         try {
             if (order.user) {
-                await createTrackingNotification(order.user, order, status);
+                await createTrackingNotification(order.user, order, order.trackingStatus);
             }
         } catch (notifError) {
             console.error('Non-blocking notification error:', notifError);
@@ -56,6 +45,9 @@ export const updateOrderTracking = async (req, res) => {
 
         res.json({ message: 'Tracking updated successfully', order });
     } catch (error) {
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({ message: error.message });
+        }
         console.error('FATAL ERROR in updateOrderTracking:', error);
         if (error.name === 'ValidationError') {
             const messages = Object.values(error.errors).map(val => val.message);
@@ -79,11 +71,6 @@ export const getOrderTracking = async (req, res) => {
             return res.status(404).json({ message: 'Order not found' });
         }
 
-        // Check if user is authorized to view this order
-        if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-            return res.status(403).json({ message: 'Not authorized to view this order' });
-        }
-
         res.json(order);
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -93,12 +80,12 @@ export const getOrderTracking = async (req, res) => {
 // Get all orders with tracking for admin
 export const getAllOrdersTracking = async (req, res) => {
     try {
-        const orders = await Order.find()
-            .populate('user', 'name email')
-            .select('trackingStatus trackingNumber courierPartner estimatedDelivery user totalPrice createdAt')
-            .sort({ createdAt: -1 });
+        const result = await listOrdersResponse(req.query, {
+            select: 'trackingStatus trackingNumber courierPartner estimatedDelivery user totalPrice createdAt',
+            populate: { path: 'user', select: 'name email' }
+        });
 
-        res.json(orders);
+        res.json(result);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -2,6 +2,10 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
 import { createError } from "../utils/error.js";
+import AuditLog from "../models/AuditLog.js";
+import { issueSession, revokeAllSessions } from "../services/tokenService.js";
+import { disconnectUser } from "../services/socketService.js";
+import { canManageAccount } from "../config/permissions.js";
 
 // Get user by ID
 export const getUserById = async (req, res, next) => {
@@ -17,22 +21,43 @@ export const getUserById = async (req, res, next) => {
 };
 
 // Update user profile
+// req.body has been reduced to the fields in updateProfileSchema; role, password and
+// login provider fields can't be changed here
 export const updateUserProfile = async (req, res, next) => {
   try {
-    const { password, ...otherData } = req.body;
+    const user = await User.findById(req.params.id);
+    if (!user) return next(createError(404, "User not found"));
+    if (!canManageAccount(req.user, user)) {
+      return next(createError(403, "You are not authorized!"));
+    }
 
-    if (password) {
-      const salt = bcrypt.genSaltSync(10);
-      otherData.password = bcrypt.hashSync(password, salt);
+    const { notificationPreferences, ...fields } = req.body;
+    const update = { $set: {}, $unset: {} };
+
+    for (const [key, value] of Object.entries(fields)) {
+      update.$set[key] = value;
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.params.id,
-      { $set: otherData },
-      { new: true }
-    );
+    // Set individual preferences so the ones not sent keep their value
+    for (const [key, value] of Object.entries(notificationPreferences || {})) {
+      update.$set[`notificationPreferences.${key}`] = value;
+    }
 
-    if (!updatedUser) return next(createError(404, "User not found"));
+    // A changed address has to be verified again
+    if (fields.email !== undefined && fields.email !== user.email) {
+      update.$set.isEmailVerified = false;
+    }
+    if (fields.phoneNumber !== undefined && fields.phoneNumber !== user.phoneNumber) {
+      update.$set.isPhoneVerified = false;
+    }
+    // phoneNumber is unique (sparse), so clearing it must remove the field
+    if (fields.phoneNumber === "") {
+      delete update.$set.phoneNumber;
+      update.$unset.phoneNumber = 1;
+    }
+    if (!Object.keys(update.$unset).length) delete update.$unset;
+
+    const updatedUser = await User.findByIdAndUpdate(req.params.id, update, { new: true });
 
     const { password: pwd, ...safeData } = updatedUser._doc;
     res.status(200).json(safeData);
@@ -41,6 +66,78 @@ export const updateUserProfile = async (req, res, next) => {
   }
 };
 
+// Change own password. Other devices are signed out; this one gets a new session.
+export const changePassword = async (req, res, next) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return next(createError(403, "You can only change your own password"));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return next(createError(404, "User not found"));
+
+    if (!user.password) {
+      return next(createError(400, "Your account has no password yet. Use forgot password to set one."));
+    }
+
+    const isPasswordCorrect = await bcrypt.compare(req.body.currentPassword, user.password);
+    if (!isPasswordCorrect) {
+      return next(createError(400, "Current password is incorrect"));
+    }
+
+    const salt = bcrypt.genSaltSync(10);
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { password: bcrypt.hashSync(req.body.newPassword, salt) } }
+    );
+
+    await revokeAllSessions(user._id);
+    disconnectUser(user._id);
+
+    const { token, refreshToken } = await issueSession(await User.findById(user._id), req);
+
+    res.status(200).json({ message: "Password updated.", token, refreshToken });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Change a user's role (super admin only). Ends the user's sessions and records an audit entry.
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return next(createError(400, "You cannot change your own role"));
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return next(createError(404, "User not found"));
+
+    const previousRole = user.role;
+    if (previousRole !== role) {
+      await User.updateOne({ _id: user._id }, { $set: { role } });
+      await revokeAllSessions(user._id);
+      disconnectUser(user._id);
+
+      await AuditLog.create({
+        actor: req.user.id,
+        action: "user.role.update",
+        targetType: "User",
+        targetId: user._id,
+        changes: { from: previousRole, to: role },
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      });
+    }
+
+    const { password, ...safeData } = (await User.findById(user._id))._doc;
+    res.status(200).json(safeData);
+  } catch (err) {
+    next(err);
+  }
+};
+
 
 export const getAllUsers = async (req, res) => {
   try {
@@ -54,11 +151,16 @@ export const getAllUsers = async (req, res) => {
 // Delete user by ID
 export const deleteUser = async (req, res, next) => {
   try {
-    const deletedUser = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
 
-    if (!deletedUser) {
+    if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    if (!canManageAccount(req.user, user)) {
+      return next(createError(403, "You are not authorized!"));
+    }
+
+    await User.deleteOne({ _id: user._id });
 
     res.status(200).json({ message: "User deleted successfully" });
   } catch (err) {
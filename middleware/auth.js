@@ -1,5 +1,9 @@
-import jwt from "jsonwebtoken";
 import { createError } from "../utils/error.js";
+import { verifyAccessToken, verifyOrderAccessToken } from "../services/tokenService.js";
+import { PERMISSIONS, hasPermission, canManageAccount } from "../config/permissions.js";
+import mongoose from "mongoose";
+import Order from "../models/Order.js";
+import User from "../models/User.js";
 
 // ✅ Verify token from Authorization header ONLY
 export const verifyToken = (req, res, next) => {
@@ -11,19 +15,25 @@ export const verifyToken = (req, res, next) => {
 
     const token = authHeader.split(" ")[1];
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) {
-            return next(createError(403, "Token is not valid!"));
-        }
-
+    // Also checks the user's tokenVersion, so revoked sessions and role changes apply immediately
+    verifyAccessToken(token).then((user) => {
         req.user = user;
         next();
-    });
+    }, next);
 };
 
+// ✅ Identify the user when a token is sent, but let anonymous requests through (guest carts).
+// A bad or expired token is still rejected, so the client refreshes instead of silently becoming a guest.
+export const optionalToken = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    verifyToken(req, res, next);
+};
+
+// ✅ Same user, or staff who manage customer accounts
 export const verifyUser = (req, res, next) => {
-    verifyToken(req, res, () => {
-        if (req.user.id === req.params.id || req.user.role === "admin") {
+    verifyToken(req, res, (err) => {
+        if (err) return next(err);
+        if (req.user.id === req.params.id || hasPermission(req.user.role, PERMISSIONS.CUSTOMERS)) {
             next();
         } else {
             return next(createError(403, "You are not authorized!"));
@@ -31,12 +41,81 @@ export const verifyUser = (req, res, next) => {
     });
 };
 
-export const verifyAdmin = (req, res, next) => {
-    verifyToken(req, res, () => {
-        if (req.user.role === "admin") {
+// ✅ Same user, or staff allowed to manage that account: customer support can't act on
+// other staff accounts (see canManageAccount in config/permissions.js)
+export const verifyAccountManager = (req, res, next) => {
+    verifyUser(req, res, (err) => {
+        if (err) return next(err);
+
+        User.findById(req.params.id).select("role").then((user) => {
+            if (!user) return next(createError(404, "User not found"));
+            if (canManageAccount(req.user, user)) {
+                next();
+            } else {
+                next(createError(403, "You are not authorized!"));
+            }
+        }, next);
+    });
+};
+
+// ✅ Staff whose role grants the permission (see config/permissions.js)
+// Usage: router.get("/", requirePermission(PERMISSIONS.ORDERS), getOrders);
+export const requirePermission = (permission) => (req, res, next) => {
+    verifyToken(req, res, (err) => {
+        if (err) return next(err);
+        if (hasPermission(req.user.role, permission)) {
             next();
         } else {
-            return next(createError(403, "Admin access only!"));
+            return next(createError(403, "You do not have permission to do that!"));
         }
     });
 };
+
+// ✅ Customer who placed the order, or staff who handle orders. A guest order can also be
+// opened with its order token in the X-Order-Token header (services/tokenService.js).
+// getOrderId reads the order ID from the request (route param by default), e.g.
+// router.post("/verify", verifyOrderOwner((req) => req.body.orderId), verifyPayment);
+export const verifyOrderOwner = (getOrderId = (req) => req.params.id) => (req, res, next) => {
+    const orderToken = req.get("X-Order-Token");
+    if (orderToken && !req.headers.authorization) {
+        return verifyGuestOrder(orderToken, getOrderId(req), next);
+    }
+
+    verifyToken(req, res, (err) => {
+        if (err) return next(err);
+
+        const orderId = getOrderId(req);
+        if (!mongoose.isValidObjectId(orderId)) {
+            return next(createError(404, "Order not found"));
+        }
+
+        Order.findById(orderId).select("user").then((order) => {
+            if (!order) return next(createError(404, "Order not found"));
+            if (order.user?.toString() === req.user.id || hasPermission(req.user.role, PERMISSIONS.ORDERS)) {
+                next();
+            } else {
+                next(createError(403, "You are not authorized to access this order!"));
+            }
+        }, next);
+    });
+};
+
+// The token must be for this order, and the order must still be a guest order:
+// once claimed by an account, the customer logs in instead
+const verifyGuestOrder = (orderToken, orderId, next) => {
+    let tokenOrderId;
+    try {
+        tokenOrderId = verifyOrderAccessToken(orderToken);
+    } catch (err) {
+        return next(err);
+    }
+    if (!mongoose.isValidObjectId(orderId) || tokenOrderId !== orderId.toString()) {
+        return next(createError(403, "You are not authorized to access this order!"));
+    }
+
+    Order.findById(orderId).select("user").then((order) => {
+        if (!order) return next(createError(404, "Order not found"));
+        if (order.user) return next(createError(401, "Please log in to view this order"));
+        next();
+    }, next);
+};
@@ -0,0 +1,59 @@
+import { createError } from "../utils/error.js";
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const validationError = (errors) => {
+    const err = createError(400, errors.map((error) => error.message).join(", "));
+    err.errors = errors;
+    return err;
+};
+
+// Validate a request against Joi schemas: validate({ body, query, params }).
+// Unknown fields are stripped and the validated (type-converted) values replace
+// req.body and req.query, so controllers only ever see allow-listed fields.
+// Failures return 400 with an `errors` list of { location, field, message }.
+export const validate = (schemas) => (req, res, next) => {
+    const errors = [];
+    const values = {};
+
+    for (const location of ["params", "query", "body"]) {
+        const schema = schemas[location];
+        if (!schema) continue;
+
+        const { error, value } = schema.validate(req[location] ?? {}, {
+            abortEarly: false,
+            stripUnknown: true,
+        });
+
+        if (error) {
+            errors.push(...error.details.map((detail) => ({
+                location,
+                field: detail.path.join("."),
+                message: detail.message,
+            })));
+        } else {
+            values[location] = value;
+        }
+    }
+
+    if (errors.length > 0) {
+        return next(validationError(errors));
+    }
+
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5, so it has to be redefined rather than assigned
+    if (values.query) {
+        Object.defineProperty(req, "query", { value: values.query, writable: true, configurable: true, enumerable: true });
+    }
+
+    next();
+};
+
+// router.param() handler rejecting malformed ObjectIds before they reach Mongoose as cast errors.
+// Usage: router.param("id", validateObjectId);
+export const validateObjectId = (req, res, next, value, name) => {
+    if (!OBJECT_ID.test(value)) {
+        return next(validationError([{ location: "params", field: name, message: `"${name}" must be a valid ID` }]));
+    }
+    next();
+};
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Append-only record of sensitive admin actions (role changes, ...)
+const auditLogSchema = new mongoose.Schema(
+    {
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        action: { type: String, required: true },
+        targetType: { type: String, required: true },
+        targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        changes: {
+            from: { type: mongoose.Schema.Types.Mixed },
+            to: { type: mongoose.Schema.Types.Mixed },
+        },
+        ip: { type: String },
+        userAgent: { type: String },
+    },
+    { timestamps: true }
+);
+
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+export default mongoose.model("AuditLog", auditLogSchema);
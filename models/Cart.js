@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A cart line. price is the unit price the customer was last shown, so a
+// repricing can tell them when it changed (see services/cartService.js).
+const cartItemSchema = new mongoose.Schema(
+    {
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+        },
+        variant: { type: mongoose.Schema.Types.ObjectId },
+        qty: { type: Number, required: true, min: 1 },
+        size: { type: String },
+        color: { type: String },
+        stitchingDetails: {
+            option: { type: String }, // 'Unstitched', 'Stitched'
+            stitchingSize: { type: String },
+            padding: { type: String }, // 'Yes', 'No'
+            blouseDesign: { type: String }
+        },
+        sareeAddOns: {
+            preDrape: { type: Boolean, default: false },
+            petticoat: { type: Boolean, default: false }
+        },
+        price: { type: Number },
+    },
+    { timestamps: true }
+);
+
+// One cart per customer, or per guest token before they log in.
+// Only the SHA-256 of a guest token is stored.
+const cartSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        guestTokenHash: { type: String },
+        items: { type: [cartItemSchema], default: [] },
+        // Guest carts only; pushed back on every change
+        expiresAt: { type: Date },
+    },
+    { timestamps: true }
+);
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, partialFilterExpression: { guestTokenHash: { $exists: true } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Cart", cartSchema);
@@ -1 +1,39 @@
 // Models folder: Coupon schema definition (Mongoose model)
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+    {
+        code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+        description: { type: String },
+        discountType: {
+            type: String,
+            enum: ["percentage", "flat"],
+            required: true,
+        },
+        discountValue: { type: Number, required: true, min: 0 },
+        // Upper bound for percentage discounts (optional)
+        maxDiscount: { type: Number },
+        minCartValue: { type: Number, default: 0 },
+        // Empty scopes mean the coupon applies to the whole cart
+        applicableCategories: { type: [String], default: [] },
+        applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+        // Global redemption limit; leave empty for unlimited
+        usageLimit: { type: Number },
+        perUserLimit: { type: Number, default: 1 },
+        usedCount: { type: Number, default: 0 },
+        redemptions: [
+            {
+                user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+                order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+                discount: { type: Number, required: true },
+                redeemedAt: { type: Date, default: Date.now },
+            },
+        ],
+        validFrom: { type: Date },
+        validUntil: { type: Date },
+        isActive: { type: Boolean, default: true },
+    },
+    { timestamps: true }
+);
+
+export default mongoose.model("Coupon", couponSchema);
@@ -1,11 +1,22 @@
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../services/orderStatus.js";
 
 const orderSchema = new mongoose.Schema(
     {
+        // Guest orders have no user until a customer with the same verified
+        // email or phone claims them (services/guestOrderService.js)
         user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
-            required: true,
+            required: function () {
+                return !this.guest?.email && !this.guest?.phone;
+            },
+        },
+        // Contact details of a guest checkout, stored normalised
+        guest: {
+            name: { type: String },
+            email: { type: String },
+            phone: { type: String },
         },
         orderItems: [
             {
@@ -18,7 +29,11 @@ const orderSchema = new mongoose.Schema(
                     ref: "Product",
                     required: true,
                 },
+                // Size/colour variant the stock was taken from (see models/Product.js)
+                variant: { type: mongoose.Schema.Types.ObjectId },
+                sku: { type: String },
                 size: { type: String },
+                color: { type: String },
                 stitchingDetails: {
                     option: { type: String }, // 'Unstitched', 'Stitched'
                     stitchingSize: { type: String },
@@ -47,17 +62,73 @@ const orderSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        // Gateway chosen for online payment (services/gateways); unset for COD
+        paymentGateway: {
+            type: String,
+            enum: ["razorpay", "stripe", "mock"],
+        },
+        // Gateway orders/PaymentIntents created for this order (one per checkout attempt).
+        // A payment is only accepted for one of these, never one made for another order.
+        gatewayOrderIds: { type: [String], default: [] },
+        // Currency the customer pays in. Prices on the order stay in the catalogue
+        // currency; exchangeRate converts them and is locked when the order is placed.
+        currency: {
+            type: String,
+            default: "INR",
+        },
+        exchangeRate: {
+            type: Number,
+            default: 1,
+        },
         paymentResult: {
             id: { type: String },
             status: { type: String },
             update_time: { type: String },
             email_address: { type: String },
+            razorpay_order_id: { type: String },
+            payment_method: { type: String },
+            error_description: { type: String },
+        },
+        // Append-only history of money received and refunded, in the catalogue currency
+        // like totalPrice. Entries are only ever added (services/paymentLedger.js).
+        paymentLedger: [
+            {
+                kind: { type: String, enum: ["payment", "refund"], required: true, immutable: true },
+                // 'gateway' for verified online payments, 'offline' for payments recorded by staff
+                source: { type: String, enum: ["gateway", "offline"], required: true, immutable: true },
+                gateway: { type: String, immutable: true },
+                method: { type: String, immutable: true },
+                amount: { type: Number, required: true, immutable: true },
+                // Gateway payment/refund ID, or the receipt/transaction reference for offline payments
+                reference: { type: String, immutable: true },
+                note: { type: String, immutable: true },
+                recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", immutable: true },
+                receivedAt: { type: Date, immutable: true },
+                createdAt: { type: Date, default: Date.now, immutable: true },
+            },
+        ],
+        // Latest chargeback/dispute raised against the payment
+        dispute: {
+            id: { type: String },
+            status: { type: String },
+            amount: { type: Number },
+            reason: { type: String },
+            updatedAt: { type: Date },
         },
         itemsPrice: {
             type: Number,
             required: true,
             default: 0.0,
         },
+        discountPrice: {
+            type: Number,
+            default: 0.0,
+        },
+        coupon: {
+            coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+            code: { type: String },
+            discount: { type: Number },
+        },
         taxPrice: {
             type: Number,
             required: true,
@@ -73,6 +144,11 @@ const orderSchema = new mongoose.Schema(
             required: true,
             default: 0.0,
         },
+        // Sum of refunds issued through the gateway (pending or processed)
+        refundedAmount: {
+            type: Number,
+            default: 0.0,
+        },
         isPaid: {
             type: Boolean,
             required: true,
@@ -91,9 +167,18 @@ const orderSchema = new mongoose.Schema(
         },
         trackingStatus: {
             type: String,
-            enum: ['pending', 'confirmed', 'processing', 'shipped', 'Out for delivery', 'delivered', 'cancelled'],
+            enum: ORDER_STATUSES,
             default: 'pending'
         },
+        // Unpaid online orders hold their stock until this time
+        reservationExpiresAt: {
+            type: Date
+        },
+        // Set once the order's stock has been returned, so it is never restored twice
+        stockReleased: {
+            type: Boolean,
+            default: false
+        },
         trackingHistory: [{
             status: String,
             message: String,
@@ -130,4 +215,20 @@ const orderSchema = new mongoose.Schema(
     }
 );
 
+orderSchema.index({ isPaid: 1, reservationExpiresAt: 1 });
+
+// Admin order lists (services/orderSearch.js): one index per sort, plus the common filters
+orderSchema.index({ createdAt: -1, _id: -1 });
+orderSchema.index({ updatedAt: -1, _id: -1 });
+orderSchema.index({ totalPrice: -1, _id: -1 });
+orderSchema.index({ trackingStatus: 1, createdAt: -1 });
+orderSchema.index({ returnStatus: 1, updatedAt: -1 });
+orderSchema.index({ isPaid: 1, createdAt: -1 });
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ trackingNumber: 1 }, { sparse: true });
+orderSchema.index({ "shippingAddress.phone": 1 });
+// Guest order lookup and claiming
+orderSchema.index({ "guest.email": 1 }, { sparse: true });
+orderSchema.index({ "guest.phone": 1 }, { sparse: true });
+
 export default mongoose.model("Order", orderSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// One-time login codes. Only an HMAC of the code is stored; documents expire via the TTL index
+const otpSchema = new mongoose.Schema(
+    {
+        channel: {
+            type: String,
+            enum: ["sms", "email"],
+            required: true,
+        },
+        // Normalised phone number or email address the code was sent to
+        destination: { type: String, required: true },
+        purpose: {
+            type: String,
+            // 'order_lookup' codes let a guest see the orders placed with their email/phone
+            enum: ["login", "order_lookup"],
+            default: "login",
+        },
+        codeHash: { type: String, required: true },
+        attempts: { type: Number, default: 0 },
+        expiresAt: { type: Date, required: true },
+        consumedAt: { type: Date },
+    },
+    { timestamps: true }
+);
+
+otpSchema.index({ destination: 1, purpose: 1, createdAt: -1 });
+// Keep expired codes for an hour so they still count towards the hourly rate limit
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+export default mongoose.model("Otp", otpSchema);
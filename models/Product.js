@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 
+// One sellable size × colour combination with its own stock.
+// price and images override the product's when set.
+const variantSchema = new mongoose.Schema({
+    sku: { type: String, required: true, trim: true, uppercase: true },
+    size: { type: String, default: "" },
+    color: { type: String, default: "" },
+    countInStock: { type: Number, default: 0, min: 0 },
+    price: { type: Number, min: 0 },
+    images: { type: [String], default: [] }
+});
+
 const productSchema = new mongoose.Schema(
     {
         name: { type: String, required: true },
@@ -13,6 +24,8 @@ const productSchema = new mongoose.Schema(
         sizes: { type: [String], default: ["XS", "S", "M", "L", "XL"] },
         inStock: { type: Boolean, default: true },
         countInStock: { type: Number, default: 0 },
+        // Shipping weight in grams, for weight-based shipping rates (services/shippingService.js)
+        weight: { type: Number, min: 0 },
         addOnItems: {
             type: [{
                 name: { type: String, required: true },
@@ -30,6 +43,19 @@ const productSchema = new mongoose.Schema(
                 message: "Maximum 6 add-on items allowed per product"
             }
         },
+        // When a product has variants, stock is held per variant and countInStock
+        // is their total (see services/inventoryService.js)
+        variants: {
+            type: [variantSchema],
+            default: [],
+            validate: {
+                validator: function (variants) {
+                    const skus = variants.map((variant) => variant.sku);
+                    return new Set(skus).size === skus.length;
+                },
+                message: "Variant SKUs must be unique"
+            }
+        },
         // New Specification Fields
         styleNo: { type: String },
         designNo: { type: String },
@@ -41,8 +67,34 @@ const productSchema = new mongoose.Schema(
         productSpeciality: { type: String },
         styleTips: { type: String },
         fitTips: { type: String },
+        // Denormalised from approved reviews
+        averageRating: { type: Number, default: 0 },
+        reviewCount: { type: Number, default: 0 },
+        // Units ordered, kept in step with stock by services/inventoryService.js
+        soldCount: { type: Number, default: 0 },
     },
     { timestamps: true }
 );
 
+// Keep the product-level total in step with its variants
+productSchema.pre("validate", function () {
+    if (this.variants.length > 0) {
+        this.countInStock = this.variants.reduce((sum, variant) => sum + variant.countInStock, 0);
+    }
+});
+
+// SKUs are unique across the catalogue
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+// Storefront search (services/productSearch.js)
+productSchema.index(
+    { name: "text", description: "text", fabric: "text", color: "text", work: "text" },
+    { name: "product_search", weights: { name: 10, fabric: 4, color: 4, work: 3, description: 1 } }
+);
+productSchema.index({ category: 1, createdAt: -1 });
+productSchema.index({ price: 1 });
+productSchema.index({ soldCount: -1 });
+productSchema.index({ averageRating: -1, reviewCount: -1 });
+productSchema.index({ createdAt: -1 });
+
 export default mongoose.model("Product", productSchema);
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Server-side record of an issued refresh token. Only the SHA-256 of the token is stored.
+// Every refresh revokes the presented token and issues a new one in the same family;
+// presenting a token that was already rotated revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        tokenHash: { type: String, required: true, unique: true },
+        // All tokens descending from one login share a family
+        family: { type: String, required: true },
+        // User.tokenVersion at issue time; bumping it invalidates the token
+        tokenVersion: { type: Number, default: 0 },
+        expiresAt: { type: Date, required: true },
+        revokedAt: { type: Date },
+        replacedBy: { type: String },
+        userAgent: { type: String },
+        ip: { type: String },
+    },
+    { timestamps: true }
+);
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
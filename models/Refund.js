@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+const refundSchema = new mongoose.Schema(
+    {
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",
+            required: true,
+        },
+        // Gateway payment being refunded
+        paymentId: { type: String, required: true },
+        gateway: {
+            type: String,
+            enum: ["razorpay", "stripe", "mock"],
+            required: true,
+        },
+        gatewayRefundId: { type: String },
+        amount: { type: Number, required: true },
+        currency: { type: String, default: "INR" },
+        reason: { type: String },
+        status: {
+            type: String,
+            enum: ["pending", "processed", "failed"],
+            default: "pending",
+        },
+        failureReason: { type: String },
+        processedAt: { type: Date },
+        initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+    { timestamps: true }
+);
+
+refundSchema.index({ gatewayRefundId: 1 }, { unique: true, sparse: true });
+
+export default mongoose.model("Refund", refundSchema);
@@ -1 +1,39 @@
 // Models folder: Review schema definition (Mongoose model)
+import mongoose from "mongoose";
+
+const reviewSchema = new mongoose.Schema(
+    {
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // The delivered order that makes this a verified purchase
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Order",
+            required: true,
+        },
+        rating: { type: Number, required: true, min: 1, max: 5 },
+        title: { type: String },
+        comment: { type: String },
+        images: { type: [String], default: [] },
+        status: {
+            type: String,
+            enum: ["pending", "approved", "hidden"],
+            default: "pending",
+        },
+    },
+    { timestamps: true }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+export default mongoose.model("Review", reviewSchema);
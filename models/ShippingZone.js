@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// A price band of a weight- or value-based rate: orders up to `upTo` grams
+// (or rupees) pay `price`
+const rateSlabSchema = new mongoose.Schema(
+    {
+        upTo: { type: Number, required: true, min: 0 },
+        price: { type: Number, required: true, min: 0 },
+    },
+    { _id: false }
+);
+
+// Where we deliver and on what terms. An address belongs to the most specific
+// zone that lists it: exact PIN code, then longest PIN prefix, then state.
+// A zone listing none of these covers everything else ("Rest of India").
+// See services/shippingService.js.
+const shippingZoneSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, unique: true, trim: true },
+        pinCodes: { type: [String], default: [] },
+        // Leading digits of PIN codes, e.g. "11" for Delhi
+        pinPrefixes: { type: [String], default: [] },
+        states: { type: [String], default: [] },
+        // Addresses in a zone that isn't serviceable can't be shipped to at all
+        isServiceable: { type: Boolean, default: true },
+        // flat: always `flatRate`; weight/value: the first slab the order fits in,
+        // or the last slab above that
+        rateType: {
+            type: String,
+            enum: ["flat", "weight", "value"],
+            default: "flat",
+        },
+        flatRate: { type: Number, default: 0, min: 0 },
+        rateSlabs: { type: [rateSlabSchema], default: [] },
+        // Orders worth at least this much ship free; empty for never
+        freeShippingThreshold: { type: Number, min: 0 },
+        codAvailable: { type: Boolean, default: true },
+        // Delivery estimate in days from the order date
+        deliveryDays: {
+            min: { type: Number, default: 3, min: 0 },
+            max: { type: Number, default: 7, min: 0 },
+        },
+        isActive: { type: Boolean, default: true },
+    },
+    { timestamps: true }
+);
+
+export default mongoose.model("ShippingZone", shippingZoneSchema);
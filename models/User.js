@@ -1,5 +1,28 @@
 // Models folder: User schema definition (Mongoose model)
 import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+
+// Saved delivery address. The fields match Order.shippingAddress, which gets a copy at checkout.
+const AddressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    default: 'Home'
+  },
+  name: { type: String, required: true },
+  phone: { type: String, required: true },
+  address: { type: String, required: true },
+  city: { type: String, required: true },
+  state: { type: String, required: true },
+  postalCode: { type: String, required: true },
+  country: { type: String, default: 'India' },
+  // Exactly one address is the default while there are any (services/addressService.js)
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+},
+  { timestamps: true }
+);
 
 const UserSchema = new mongoose.Schema({
   phoneNumber: {
@@ -36,11 +59,48 @@ const UserSchema = new mongoose.Schema({
     enum: ['local', 'google'],
     default: 'local'
   },
+  // Staff roles and their permissions are defined in config/permissions.js
   role: {
     type: String,
-    enum: ['admin', 'user'],
+    enum: ROLES,
     default: 'user'
   },
+  // Bumped to invalidate every access and refresh token issued to the user
+  // (log out all devices, password reset, role change)
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 of the emailed verification token, cleared once the address is confirmed
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 of the emailed reset token (the token itself is never stored); cleared once used
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  addresses: {
+    type: [AddressSchema],
+    default: []
+  },
   notificationPreferences: {
     emailNotifications: { type: Boolean, default: true },
     orderAlerts: { type: Boolean, default: true },
@@ -52,4 +112,23 @@ const UserSchema = new mongoose.Schema({
   { timestamps: true }
 );
 
+// A role change must not leave tokens carrying the old role usable
+UserSchema.pre('save', function () {
+  if (!this.isNew && this.isModified('role')) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+  }
+});
+
+UserSchema.pre(['findOneAndUpdate', 'updateOne'], async function () {
+  const update = this.getUpdate() || {};
+  const role = update.$set?.role ?? update.role;
+  if (role === undefined) return;
+
+  // Profile forms resend the unchanged role; only a real change ends the sessions
+  const current = await this.model.findOne(this.getFilter()).select('role');
+  if (current && current.role !== role) {
+    this.setUpdate({ ...update, $inc: { ...update.$inc, tokenVersion: 1 } });
+  }
+});
+
 export default mongoose.model("User", UserSchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// Log of received gateway webhooks, keyed by gateway and event ID so retries are processed once
+const webhookEventSchema = new mongoose.Schema(
+    {
+        eventId: { type: String, required: true },
+        gateway: { type: String, default: "razorpay" },
+        event: { type: String, required: true },
+        payload: { type: mongoose.Schema.Types.Mixed },
+        status: {
+            type: String,
+            enum: ["processing", "processed", "ignored", "failed"],
+            default: "processing",
+        },
+        attempts: { type: Number, default: 1 },
+        error: { type: String },
+        processedAt: { type: Date },
+    },
+    { timestamps: true }
+);
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
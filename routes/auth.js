@@ -1,8 +1,43 @@
 import express from "express";
-import { login, register, forgotPassword, googleAuth } from "../controllers/auth.js";
+import {
+  login,
+  register,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  requestOtp,
+  verifyOtp,
+  refresh,
+  logout,
+  logoutAll,
+  googleAuth,
+} from "../controllers/auth.js";
+import { verifyToken } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  otpRequestSchema,
+  otpVerifySchema,
+  googleAuthSchema,
+  refreshTokenSchema,
+  logoutSchema,
+} from "../validations/user.validation.js";
 const router = express.Router();
-router.post("/register", register);
-router.post("/login", login);
-router.post("/forgot-password", forgotPassword);
-router.post("/google", googleAuth);
+router.post("/register", validate({ body: registerSchema }), register);
+router.post("/login", validate({ body: loginSchema }), login);
+router.post("/forgot-password", validate({ body: forgotPasswordSchema }), forgotPassword);
+router.post("/reset-password", validate({ body: resetPasswordSchema }), resetPassword);
+router.post("/verify-email", validate({ body: verifyEmailSchema }), verifyEmail);
+router.post("/verify-email/resend", verifyToken, resendVerificationEmail);
+router.post("/otp/request", validate({ body: otpRequestSchema }), requestOtp);
+router.post("/otp/verify", validate({ body: otpVerifySchema }), verifyOtp);
+router.post("/google", validate({ body: googleAuthSchema }), googleAuth);
+router.post("/refresh", validate({ body: refreshTokenSchema }), refresh);
+router.post("/logout", validate({ body: logoutSchema }), logout);
+router.post("/logout-all", verifyToken, logoutAll);
 export default router;
\ No newline at end of file
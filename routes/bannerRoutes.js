@@ -1,15 +1,20 @@
 import express from "express";
 import { getBanners, createBanner, updateBanner, deleteBanner } from "../controllers/bannerController.js";
-import { verifyAdmin } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import upload from "../middleware/upload.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { bannerSchema } from "../validations/content.validation.js";
 
 
 
 const router = express.Router();
 
+router.param("id", validateObjectId);
+
 router.get("/", getBanners);
-router.post("/", verifyAdmin, upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mobileImage', maxCount: 1 }]), createBanner);
-router.put("/:id", verifyAdmin, upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mobileImage', maxCount: 1 }]), updateBanner);
-router.delete("/:id", verifyAdmin, deleteBanner);
+router.post("/", requirePermission(PERMISSIONS.MARKETING), upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mobileImage', maxCount: 1 }]), validate({ body: bannerSchema }), createBanner);
+router.put("/:id", requirePermission(PERMISSIONS.MARKETING), upload.fields([{ name: 'image', maxCount: 1 }, { name: 'mobileImage', maxCount: 1 }]), validate({ body: bannerSchema }), updateBanner);
+router.delete("/:id", requirePermission(PERMISSIONS.MARKETING), deleteBanner);
 
 export default router;
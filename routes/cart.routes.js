@@ -0,0 +1,30 @@
+import express from "express";
+import {
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkoutCart
+} from "../controllers/cart.js";
+import { optionalToken } from "../middleware/auth.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { addCartItemSchema, updateCartItemSchema, cartCheckoutSchema } from "../validations/cart.validation.js";
+
+const router = express.Router();
+
+router.param("itemId", validateObjectId);
+
+// Guests can build a cart too; they are identified by the X-Cart-Token header
+router.route("/")
+    .get(optionalToken, getCart)
+    .delete(optionalToken, clearCart);
+
+router.post("/items", optionalToken, validate({ body: addCartItemSchema }), addCartItem);
+router.route("/items/:itemId")
+    .put(optionalToken, validate({ body: updateCartItemSchema }), updateCartItem)
+    .delete(optionalToken, removeCartItem);
+
+router.post("/checkout", optionalToken, validate({ body: cartCheckoutSchema }), checkoutCart);
+
+export default router;
@@ -1,14 +1,21 @@
 import express from "express";
 import { getCategories, createCategory, updateCategory, deleteCategory } from "../controllers/categoryController.js";
 import multer from "multer";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { createCategorySchema, updateCategorySchema } from "../validations/content.validation.js";
 
 const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
+const verifyCatalog = requirePermission(PERMISSIONS.CATALOG);
+
+router.param("id", validateObjectId);
 
 router.get("/", getCategories);
-router.post("/", upload.fields([{ name: "image", maxCount: 1 }]), createCategory);
-router.put("/:id", upload.fields([{ name: "image", maxCount: 1 }]), updateCategory);
-router.delete("/:id", deleteCategory);
+router.post("/", verifyCatalog, upload.fields([{ name: "image", maxCount: 1 }]), validate({ body: createCategorySchema }), createCategory);
+router.put("/:id", verifyCatalog, upload.fields([{ name: "image", maxCount: 1 }]), validate({ body: updateCategorySchema }), updateCategory);
+router.delete("/:id", verifyCatalog, deleteCategory);
 
 export default router;
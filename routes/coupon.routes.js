@@ -0,0 +1,28 @@
+import express from "express";
+import {
+    getCoupons,
+    getCouponById,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} from "../controllers/coupon.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { createCouponSchema, updateCouponSchema } from "../validations/coupon.validation.js";
+
+const router = express.Router();
+const verifyMarketing = requirePermission(PERMISSIONS.MARKETING);
+
+router.param("id", validateObjectId);
+
+router.route("/")
+    .get(verifyMarketing, getCoupons)
+    .post(verifyMarketing, validate({ body: createCouponSchema }), createCoupon);
+
+router.route("/:id")
+    .get(verifyMarketing, getCouponById)
+    .put(verifyMarketing, validate({ body: updateCouponSchema }), updateCoupon)
+    .delete(verifyMarketing, deleteCoupon);
+
+export default router;
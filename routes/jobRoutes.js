@@ -7,16 +7,22 @@ import {
     updateJob,
     deleteJob,
 } from "../controllers/jobController.js";
-import { verifyToken, verifyAdmin } from "../middleware/auth.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { createJobSchema, updateJobSchema } from "../validations/content.validation.js";
 
 const router = express.Router();
+const verifyMarketing = requirePermission(PERMISSIONS.MARKETING);
 
-router.route("/").get(getJobs).post(verifyToken, verifyAdmin, createJob);
-router.route("/admin").get(verifyToken, verifyAdmin, getAllJobsAdmin);
+router.param("id", validateObjectId);
+
+router.route("/").get(getJobs).post(verifyMarketing, validate({ body: createJobSchema }), createJob);
+router.route("/admin").get(verifyMarketing, getAllJobsAdmin);
 router
     .route("/:id")
     .get(getJobById)
-    .put(verifyToken, verifyAdmin, updateJob)
-    .delete(verifyToken, verifyAdmin, deleteJob);
+    .put(verifyMarketing, validate({ body: updateJobSchema }), updateJob)
+    .delete(verifyMarketing, deleteJob);
 
 export default router;
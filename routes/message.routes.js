@@ -1,37 +1,30 @@
 import express from "express";
 import Message from "../models/Message.js";
-import User from "../models/User.js";
-import Notification from "../models/Notification.js";
+import { pushNotification, findStaff } from "../services/notificationService.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { requirePermission } from "../middleware/auth.js";
+import { createMessageSchema } from "../validations/content.validation.js";
 
 const router = express.Router();
+const verifySupport = requirePermission(PERMISSIONS.MESSAGES);
+
+router.param("id", validateObjectId);
 
 // Create a message (Public)
-router.post("/", async (req, res) => {
+router.post("/", validate({ body: createMessageSchema }), async (req, res) => {
     try {
         const { name, email, subject, message, mobile } = req.body;
-        if (!name || !email || !subject || !message || !mobile) {
-            return res.status(400).json({ success: false, message: "All fields are required" });
-        }
-
-        const mobileRegex = /^\d{10}$/;
-        if (!mobileRegex.test(mobile)) {
-            return res.status(400).json({ success: false, message: "Invalid mobile number format" });
-        }
-
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(email)) {
-            return res.status(400).json({ success: false, message: "Invalid email address format" });
-        }
 
         const newMessage = new Message({ name, email, subject, message, mobile });
         await newMessage.save();
 
-        // Notify Admins about new message
-        const admins = await User.find({ role: 'admin' });
+        // Notify support staff about new message
+        const admins = await findStaff(PERMISSIONS.MESSAGES);
         for (const admin of admins) {
             // Reusing customerAlerts or adding a general one if needed. 
             // For now, let's just send it if they are admin.
-            await Notification.create({
+            await pushNotification({
                 user: admin._id,
                 title: "New Message Received!",
                 message: `From: ${name} (${mobile}) - ${subject}`,
@@ -47,9 +40,8 @@ router.post("/", async (req, res) => {
     }
 });
 
-// Get all messages (Admin Only) - For now simplified without specific auth middleware here, 
-// using typical structure
-router.get("/", async (req, res) => {
+// Get all messages (support staff)
+router.get("/", verifySupport, async (req, res) => {
     try {
         const messages = await Message.find().sort({ createdAt: -1 });
         res.status(200).json(messages);
@@ -58,8 +50,8 @@ router.get("/", async (req, res) => {
     }
 });
 
-// Delete a message (Admin Only)
-router.delete("/:id", async (req, res) => {
+// Delete a message (support staff)
+router.delete("/:id", verifySupport, async (req, res) => {
     try {
         await Message.findByIdAndDelete(req.params.id);
         res.status(200).json({ success: true, message: "Message deleted successfully" });
@@ -68,8 +60,8 @@ router.delete("/:id", async (req, res) => {
     }
 });
 
-// Mark as read
-router.put("/:id/read", async (req, res) => {
+// Mark as read (support staff)
+router.put("/:id/read", verifySupport, async (req, res) => {
     try {
         await Message.findByIdAndUpdate(req.params.id, { isRead: true });
         res.status(200).json({ success: true, message: "Marked as read" });
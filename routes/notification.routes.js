@@ -7,10 +7,13 @@ import {
   deleteNotification
 } from '../controllers/notification.js';
 
-import { verifyToken } from '../utils/verifyToken.js';
+import { verifyToken } from '../middleware/auth.js';
+import { validateObjectId } from '../middleware/validate.js';
 
 const router = express.Router();
 
+router.param('id', validateObjectId);
+
 // Get user's notifications
 router.get('/', verifyToken, getUserNotifications);
 
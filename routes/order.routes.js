@@ -1,8 +1,14 @@
 import express from "express";
 import {
   addOrderItems,
+  addGuestOrder,
+  requestGuestOrderLookup,
+  verifyGuestOrderLookup,
+  getClaimableOrders,
+  claimOrders,
+  getOrderQuote,
   getOrderById,
-  updateOrderToPaid,
+  recordOrderOfflinePayment,
   updateOrderToDelivered,
   getMyOrders,
   getOrders,
@@ -13,39 +19,74 @@ import {
   updateReturnStatus,
   requestReturn
 } from "../controllers/order.js";
+import { getOrderRefunds, createOrderRefund } from "../controllers/refund.js";
 
-import { verifyToken, verifyAdmin } from "../utils/verifyToken.js";
+import { verifyToken, requirePermission, verifyOrderOwner } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import {
+  createOrderSchema,
+  guestOrderSchema,
+  orderLookupRequestSchema,
+  orderLookupVerifySchema,
+  quoteOrderSchema,
+  offlinePaymentSchema,
+  bulkUpdateOrdersSchema,
+  requestReturnSchema,
+  updateReturnStatusSchema,
+  createRefundSchema,
+  orderListQuerySchema
+} from "../validations/order.validation.js";
 
-// Mapping middleware to match previous naming convention if needed, 
-// or updating routes to use verifyToken/verifyAdmin
+// Mapping middleware to match previous naming convention if needed
 const protect = verifyToken;
-const admin = verifyAdmin;
+const fulfilment = requirePermission(PERMISSIONS.ORDERS);
+// The customer who placed the order (or the guest holding its order token), or fulfilment staff
+const owner = verifyOrderOwner();
 
 const router = express.Router();
 
+router.param("id", validateObjectId);
+
 router.route("/")
-  .post(verifyToken, addOrderItems)
-  .get(verifyAdmin, getOrders);
+  .post(verifyToken, validate({ body: createOrderSchema }), addOrderItems)
+  .get(fulfilment, validate({ query: orderListQuerySchema }), getOrders);
+
+router.route("/quote")
+  .post(validate({ body: quoteOrderSchema }), getOrderQuote);
 
 router.route("/myorders")
   .get(verifyToken, getMyOrders);
 
-router.route("/:id")
-  .get(verifyToken, getOrderById);
+// Guest checkout, order lookup by code, and claiming guest orders after registering
+router.route("/guest")
+  .post(validate({ body: guestOrderSchema }), addGuestOrder);
+router.route("/lookup/request")
+  .post(validate({ body: orderLookupRequestSchema }), requestGuestOrderLookup);
+router.route("/lookup/verify")
+  .post(validate({ body: orderLookupVerifySchema }), verifyGuestOrderLookup);
+router.route("/claimable")
+  .get(verifyToken, getClaimableOrders);
+router.route("/claim")
+  .post(verifyToken, claimOrders);
 
-router.route("/:id/pay")
-  .put(verifyToken, updateOrderToPaid);
+router.route("/:id")
+  .get(owner, getOrderById);
 
-router.route('/bulk-update').put(protect, admin, updateOrdersStatus);
-router.route('/returns/all').get(protect, admin, getReturnRequests);
-router.route('/:id/return').put(protect, admin, updateReturnStatus);
-router.route('/:id/request-return').put(protect, requestReturn);
-router.route('/:id/deliver').put(protect, admin, updateOrderToDelivered);
+router.route('/bulk-update').put(fulfilment, validate({ body: bulkUpdateOrdersSchema }), updateOrdersStatus);
+router.route('/returns/all').get(fulfilment, validate({ query: orderListQuerySchema }), getReturnRequests);
+router.route('/:id/return').put(fulfilment, validate({ body: updateReturnStatusSchema }), updateReturnStatus);
+router.route('/:id/request-return').put(protect, validate({ body: requestReturnSchema }), requestReturn);
+router.route('/:id/deliver').put(fulfilment, updateOrderToDelivered);
+router.route('/:id/offline-payment').post(fulfilment, validate({ body: offlinePaymentSchema }), recordOrderOfflinePayment);
+router.route('/:id/refunds')
+  .get(fulfilment, getOrderRefunds)
+  .post(fulfilment, validate({ body: createRefundSchema }), createOrderRefund);
 
 router.route("/:id/cancel")
-  .put(verifyToken, cancelOrder);
+  .put(owner, cancelOrder);
 
 router.route("/:id/abandon")
-  .put(verifyToken, abandonOrder);
+  .put(owner, abandonOrder);
 
 export default router;
@@ -7,23 +7,36 @@ import {
     handleWebhook
 } from '../controllers/payment.js';
 
-import { verifyToken } from '../utils/verifyToken.js';
+import { verifyOrderOwner } from '../middleware/auth.js';
+import { validate, validateObjectId } from '../middleware/validate.js';
+import {
+    createPaymentSchema,
+    verifyPaymentSchema,
+    paymentFailureSchema,
+    paymentStatusQuerySchema
+} from '../validations/payment.validation.js';
 
 const router = express.Router();
+const orderOwner = verifyOrderOwner((req) => req.body.orderId);
+
+router.param('orderId', validateObjectId);
 
 // Create payment order
-router.post('/create', verifyToken, createPaymentOrder);
+router.post('/create', orderOwner, validate({ body: createPaymentSchema }), createPaymentOrder);
 
 // Verify payment
-router.post('/verify', verifyToken, verifyPayment);
+router.post('/verify', orderOwner, validate({ body: verifyPaymentSchema }), verifyPayment);
 
 // Handle payment failure
-router.post('/failure', verifyToken, handlePaymentFailure);
+router.post('/failure', orderOwner, validate({ body: paymentFailureSchema }), handlePaymentFailure);
 
 // Razorpay Webhook (Public)
 router.post('/webhook', handleWebhook);
 
+// Stripe / mock gateway webhooks (Public)
+router.post('/webhook/:gateway', handleWebhook);
+
 // Get payment status
-router.get('/status/:orderId', verifyToken, getPaymentStatus);
+router.get('/status/:orderId', verifyOrderOwner((req) => req.params.orderId), validate({ query: paymentStatusQuerySchema }), getPaymentStatus);
 
 export default router;
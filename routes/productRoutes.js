@@ -2,31 +2,46 @@ import express from "express";
 import {
     getAllProducts,
     getProductById,
+    searchProducts,
     createProduct,
     updateProduct,
     deleteProduct,
     getDistinctCategories,
     getDistinctSubcategories
 } from "../controllers/product.js";
-import { verifyAdmin } from "../middleware/auth.js";
+import { getProductReviews, createProductReview } from "../controllers/review.js";
+import { verifyToken, requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import {
+    productQuerySchema,
+    productSearchQuerySchema,
+    createProductSchema,
+    updateProductSchema,
+    reviewQuerySchema,
+    createReviewSchema
+} from "../validations/product.validation.js";
 
 const router = express.Router();
 
-router.get("/", getAllProducts);
+router.param("id", validateObjectId);
+
+router.get("/", validate({ query: productQuerySchema }), getAllProducts);
+router.get("/search", validate({ query: productSearchQuerySchema }), searchProducts);
 router.get("/categories", getDistinctCategories);
 router.get("/subcategories", getDistinctSubcategories);
 router.get("/:id", getProductById);
 
 import upload from "../middleware/upload.js";
 
-// Admin Routes
+// Catalog management
 router.post(
     "/",
     (req, res, next) => {
         // console.log("Incoming POST product request"); 
         next();
     },
-    verifyAdmin,
+    requirePermission(PERMISSIONS.CATALOG),
     upload.fields([
         { name: "images", maxCount: 10 },
         { name: "video", maxCount: 1 },
@@ -37,11 +52,12 @@ router.post(
         { name: "addOnItemImages-4", maxCount: 5 },
         { name: "addOnItemImages-5", maxCount: 5 },
     ]),
+    validate({ body: createProductSchema }),
     createProduct
 );
 router.put(
     "/:id",
-    verifyAdmin,
+    requirePermission(PERMISSIONS.CATALOG),
     upload.fields([
         { name: "images", maxCount: 10 },
         { name: "video", maxCount: 1 },
@@ -52,8 +68,13 @@ router.put(
         { name: "addOnItemImages-4", maxCount: 5 },
         { name: "addOnItemImages-5", maxCount: 5 },
     ]),
+    validate({ body: updateProductSchema }),
     updateProduct
 );
-router.delete("/:id", verifyAdmin, deleteProduct);
+router.delete("/:id", requirePermission(PERMISSIONS.CATALOG), deleteProduct);
+
+// Reviews
+router.get("/:id/reviews", validate({ query: reviewQuerySchema }), getProductReviews);
+router.post("/:id/reviews", verifyToken, upload.array("images", 5), validate({ body: createReviewSchema }), createProductReview);
 
 export default router;
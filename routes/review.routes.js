@@ -0,0 +1,17 @@
+import express from "express";
+import { getReviews, updateReviewStatus, deleteReview } from "../controllers/review.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import { reviewModerationQuerySchema, updateReviewStatusSchema } from "../validations/product.validation.js";
+
+const router = express.Router();
+
+router.param("id", validateObjectId);
+
+// Moderation (catalog managers)
+router.get("/", requirePermission(PERMISSIONS.CATALOG), validate({ query: reviewModerationQuerySchema }), getReviews);
+router.put("/:id/status", requirePermission(PERMISSIONS.CATALOG), validate({ body: updateReviewStatusSchema }), updateReviewStatus);
+router.delete("/:id", requirePermission(PERMISSIONS.CATALOG), deleteReview);
+
+export default router;
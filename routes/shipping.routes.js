@@ -0,0 +1,35 @@
+import express from "express";
+import {
+    checkShipping,
+    getShippingZones,
+    getShippingZoneById,
+    createShippingZone,
+    updateShippingZone,
+    deleteShippingZone
+} from "../controllers/shipping.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import {
+    createShippingZoneSchema,
+    updateShippingZoneSchema,
+    shippingCheckQuerySchema
+} from "../validations/shipping.validation.js";
+
+const router = express.Router();
+const fulfilment = requirePermission(PERMISSIONS.ORDERS);
+
+router.param("id", validateObjectId);
+
+router.get("/check", validate({ query: shippingCheckQuerySchema }), checkShipping);
+
+router.route("/zones")
+    .get(fulfilment, getShippingZones)
+    .post(fulfilment, validate({ body: createShippingZoneSchema }), createShippingZone);
+
+router.route("/zones/:id")
+    .get(fulfilment, getShippingZoneById)
+    .put(fulfilment, validate({ body: updateShippingZoneSchema }), updateShippingZone)
+    .delete(fulfilment, deleteShippingZone);
+
+export default router;
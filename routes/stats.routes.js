@@ -1,8 +1,10 @@
 import express from "express";
 import { getDashboardStats } from "../controllers/stats.js";
+import { requirePermission } from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 const router = express.Router();
 
-router.get("/", getDashboardStats);
+router.get("/", requirePermission(PERMISSIONS.STATS), getDashboardStats);
 
 export default router;
@@ -1,16 +1,21 @@
 import express from 'express';
 import { updateOrderTracking, getOrderTracking, getAllOrdersTracking } from '../controllers/tracking.js';
-import { verifyToken, verifyAdmin } from '../middleware/auth.js';
+import { requirePermission, verifyOrderOwner } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { validate, validateObjectId } from '../middleware/validate.js';
+import { updateTrackingSchema, orderListQuerySchema } from '../validations/order.validation.js';
 
 const router = express.Router();
 
+router.param('orderId', validateObjectId);
+
 // Get tracking for specific order (customer or admin)
-router.get('/:orderId', verifyToken, getOrderTracking);
+router.get('/:orderId', verifyOrderOwner((req) => req.params.orderId), getOrderTracking);
 
-// Update tracking (admin only)
-router.put('/:orderId', verifyAdmin, updateOrderTracking);
+// Update tracking (order fulfilment)
+router.put('/:orderId', requirePermission(PERMISSIONS.ORDERS), validate({ body: updateTrackingSchema }), updateOrderTracking);
 
-// Get all orders tracking (admin only)
-router.get('/', verifyAdmin, getAllOrdersTracking);
+// Get all orders tracking (order fulfilment)
+router.get('/', requirePermission(PERMISSIONS.ORDERS), validate({ query: orderListQuerySchema }), getAllOrdersTracking);
 
 export default router;
@@ -2,27 +2,63 @@ import express from "express";
 import {
     deleteUser,
     updateUserProfile,
+    changePassword,
+    updateUserRole,
     getAllUsers,
     getUserById
 } from "../controllers/user.js";
+import {
+    getAddresses,
+    createAddress,
+    replaceAddress,
+    makeDefaultAddress,
+    deleteAddress
+} from "../controllers/address.js";
 
 import {
     verifyUser,
-    verifyAdmin
-} from "../utils/verifyToken.js";
+    verifyAccountManager,
+    requirePermission
+} from "../middleware/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { validate, validateObjectId } from "../middleware/validate.js";
+import {
+    updateProfileSchema,
+    changePasswordSchema,
+    updateRoleSchema,
+    addressSchema
+} from "../validations/user.validation.js";
 
 const router = express.Router();
 
-// ✅ Update user (same user or admin)
-router.put("/:id", verifyUser, updateUserProfile);
+router.param("id", validateObjectId);
+router.param("addressId", validateObjectId);
+
+// ✅ Update user (same user or customer support)
+router.put("/:id", verifyUser, validate({ body: updateProfileSchema }), updateUserProfile);
 
-// ✅ Get all users (admin only)
-router.get("/", verifyAdmin, getAllUsers);
+// ✅ Change password (same user, current password required)
+router.put("/:id/password", verifyUser, validate({ body: changePasswordSchema }), changePassword);
 
-// ✅ Get single user (same user or admin)
+// ✅ Change role (super admin only, audited)
+router.put("/:id/role", requirePermission(PERMISSIONS.ROLES), validate({ body: updateRoleSchema }), updateUserRole);
+
+// ✅ Get all users (customer support)
+router.get("/", requirePermission(PERMISSIONS.CUSTOMERS), getAllUsers);
+
+// ✅ Get single user (same user or customer support)
 router.get("/:id", verifyUser, getUserById);
 
-// ✅ Delete user (same user or admin)
+// ✅ Delete user (same user or customer support)
 router.delete("/:id", verifyUser, deleteUser);
 
+// ✅ Address book (same user, or staff who can manage the account)
+router.route("/:id/addresses")
+    .get(verifyAccountManager, getAddresses)
+    .post(verifyAccountManager, validate({ body: addressSchema }), createAddress);
+router.route("/:id/addresses/:addressId")
+    .put(verifyAccountManager, validate({ body: addressSchema }), replaceAddress)
+    .delete(verifyAccountManager, deleteAddress);
+router.put("/:id/addresses/:addressId/default", verifyAccountManager, makeDefaultAddress);
+
 export default router;
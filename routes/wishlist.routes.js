@@ -1,11 +1,15 @@
 import express from 'express';
-import { verifyToken } from '../utils/verifyToken.js';
+import { verifyToken } from '../middleware/auth.js';
 import { getWishlist, addToWishlist, removeFromWishlist } from '../controllers/wishlist.js';
+import { validate, validateObjectId } from '../middleware/validate.js';
+import { wishlistItemSchema } from '../validations/product.validation.js';
 
 const router = express.Router();
 
+router.param('id', validateObjectId);
+
 router.get('/', verifyToken, getWishlist);
-router.post('/', verifyToken, addToWishlist);
+router.post('/', verifyToken, validate({ body: wishlistItemSchema }), addToWishlist);
 router.delete('/:id', verifyToken, removeFromWishlist);
 
 export default router;
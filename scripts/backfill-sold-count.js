@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Order from "../models/Order.js";
+import Product from "../models/Product.js";
+
+// Sets Product.soldCount (used by the best-selling sort) from existing orders: every
+// order line whose stock is still taken counts, matching services/inventoryService.js.
+// Safe to run more than once.
+// Usage: node scripts/backfill-sold-count.js
+
+// Load .env from backend directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, "../.env") });
+
+const backfill = async () => {
+    try {
+        console.log("⏳ Connecting to MongoDB...");
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log("✅ MongoDB Connected!");
+
+        const sold = await Order.aggregate([
+            { $match: { stockReleased: { $ne: true } } },
+            { $unwind: "$orderItems" },
+            { $group: { _id: "$orderItems.product", soldCount: { $sum: "$orderItems.qty" } } }
+        ]);
+
+        await Product.updateMany({}, { $set: { soldCount: 0 } });
+        // Add-on item IDs match no product and are skipped
+        if (sold.length > 0) {
+            const result = await Product.bulkWrite(sold.map(({ _id, soldCount }) => ({
+                updateOne: { filter: { _id }, update: { $set: { soldCount } } }
+            })));
+            console.log(`✅ soldCount set on ${result.modifiedCount} product(s)`);
+        }
+
+        console.log("🎉 Backfill complete!");
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Backfill failed:", error);
+        process.exit(1);
+    }
+};
+
+backfill();
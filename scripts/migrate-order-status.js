@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import Order from "../models/Order.js";
+import { normalizeStatus } from "../services/orderStatus.js";
+
+// Rewrites legacy order statuses ('Out for delivery', ...) to the canonical vocabulary
+// in services/orderStatus.js. Safe to run more than once.
+// Usage: node scripts/migrate-order-status.js
+
+// Load .env from backend directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, "../.env") });
+
+const migrate = async () => {
+    try {
+        console.log("⏳ Connecting to MongoDB...");
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log("✅ MongoDB Connected!");
+
+        // Raw collection access: legacy values would fail the schema enum
+        const orders = Order.collection;
+
+        console.log("🔍 Normalising trackingStatus...");
+        for (const status of await orders.distinct("trackingStatus")) {
+            const canonical = normalizeStatus(status);
+            if (!canonical) {
+                console.log(`⚠ Unknown status "${status}" left unchanged — fix these orders manually`);
+                continue;
+            }
+            if (canonical === status) continue;
+
+            const result = await orders.updateMany({ trackingStatus: status }, { $set: { trackingStatus: canonical } });
+            console.log(`✅ ${status} → ${canonical}: ${result.modifiedCount} order(s)`);
+        }
+
+        console.log("🔍 Normalising trackingHistory entries...");
+        for (const status of await orders.distinct("trackingHistory.status")) {
+            const canonical = normalizeStatus(status);
+            if (!canonical || canonical === status) continue;
+
+            const result = await orders.updateMany(
+                { "trackingHistory.status": status },
+                { $set: { "trackingHistory.$[entry].status": canonical } },
+                { arrayFilters: [{ "entry.status": status }] }
+            );
+            console.log(`✅ history ${status} → ${canonical}: ${result.modifiedCount} order(s)`);
+        }
+
+        // Completed returns were never recorded as 'returned' because the value wasn't in the enum
+        const returned = await orders.updateMany(
+            { returnStatus: "Completed", trackingStatus: "delivered" },
+            { $set: { trackingStatus: "returned" } }
+        );
+        console.log(`✅ Completed returns marked returned: ${returned.modifiedCount} order(s)`);
+
+        console.log("🎉 Migration complete!");
+        process.exit(0);
+    } catch (error) {
+        console.error("❌ Migration failed:", error);
+        process.exit(1);
+    }
+};
+
+migrate();
@@ -0,0 +1,130 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Checks that admin routes reject customers and that owner-only order routes reject other customers.
+// Every check expects a 401/403, so a passing run changes nothing; a failing one may have
+// modified data (e.g. abandoned the order), so point it at a development database.
+// Usage: TEST_TOKEN=<customer jwt> TEST_OTHER_TOKEN=<another customer's jwt> TEST_ORDER_ID=<order placed with TEST_TOKEN>
+//        [TEST_ADMIN_TOKEN=<super admin jwt>] node scripts/test-authorization.js
+
+// Load .env from backend directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const BASE_URL = process.env.TEST_API_URL || 'http://localhost:5000/api';
+const OWNER_TOKEN = process.env.TEST_TOKEN;
+const OTHER_TOKEN = process.env.TEST_OTHER_TOKEN;
+const ADMIN_TOKEN = process.env.TEST_ADMIN_TOKEN;
+const ORDER_ID = process.env.TEST_ORDER_ID;
+
+if (!OWNER_TOKEN || !OTHER_TOKEN || !ORDER_ID) {
+    console.error('❌ TEST_TOKEN, TEST_OTHER_TOKEN and TEST_ORDER_ID are required');
+    process.exit(1);
+}
+
+// Any well-formed ID: authorization must fail before the record is looked up
+const SOME_ID = '000000000000000000000000';
+
+// Staff-only routes: a customer gets 403, an anonymous caller 401
+const adminRoutes = [
+    ['get', '/messages'],
+    ['put', `/messages/${SOME_ID}/read`],
+    ['delete', `/messages/${SOME_ID}`],
+    ['get', '/stats'],
+    ['get', '/users'],
+    ['put', `/users/${SOME_ID}/role`, { role: 'super_admin' }],
+    ['get', '/orders'],
+    ['put', '/orders/bulk-update', { orderIds: [ORDER_ID], status: 'shipped' }],
+    ['get', '/orders/returns/all'],
+    ['put', `/orders/${ORDER_ID}/return`, { status: 'Approved' }],
+    ['put', `/orders/${ORDER_ID}/deliver`],
+    ['post', `/orders/${ORDER_ID}/offline-payment`, { amount: 1, method: 'cash', reference: 'test' }],
+    ['get', `/orders/${ORDER_ID}/refunds`],
+    ['post', `/orders/${ORDER_ID}/refunds`, { amount: 1 }],
+    ['get', '/tracking'],
+    ['put', `/tracking/${ORDER_ID}`, { status: 'shipped' }],
+    ['delete', `/products/${SOME_ID}`],
+    ['delete', `/categories/${SOME_ID}`],
+    ['get', '/reviews'],
+    ['get', '/coupons'],
+    ['delete', `/banners/${SOME_ID}`],
+    ['get', '/jobs/admin']
+];
+
+// Routes for one order: only its customer (or order staff) may use them
+const ownerRoutes = [
+    ['get', `/orders/${ORDER_ID}`],
+    ['put', `/orders/${ORDER_ID}/cancel`],
+    ['put', `/orders/${ORDER_ID}/abandon`],
+    ['get', `/tracking/${ORDER_ID}`],
+    ['post', '/payment/create', { orderId: ORDER_ID }],
+    ['post', '/payment/verify', { orderId: ORDER_ID }],
+    ['post', '/payment/failure', { orderId: ORDER_ID }],
+    ['get', `/payment/status/${ORDER_ID}`]
+];
+
+const send = (method, url, body, token) => {
+    return axios.request({
+        method,
+        url: `${BASE_URL}${url}`,
+        data: body,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        validateStatus: () => true
+    });
+};
+
+let failures = 0;
+
+const expectStatus = async (label, [method, url, body], token, expected) => {
+    const response = await send(method, url, body, token);
+    const ok = expected.includes(response.status);
+    if (ok) {
+        console.log(`✅ ${label}: ${method.toUpperCase()} ${url} → ${response.status}`);
+    } else {
+        console.error(`❌ ${label}: ${method.toUpperCase()} ${url} → ${response.status} (expected ${expected.join('/')})`, response.data);
+        failures++;
+    }
+};
+
+const run = async () => {
+    console.log('API:', BASE_URL);
+    console.log('Order:', ORDER_ID);
+
+    console.log('\n🔒 Admin routes');
+    for (const route of adminRoutes) {
+        await expectStatus('anonymous', route, null, [401]);
+        await expectStatus('customer', route, OWNER_TOKEN, [403]);
+    }
+
+    console.log('\n🔒 Order owner routes');
+    for (const route of ownerRoutes) {
+        await expectStatus('anonymous', route, null, [401]);
+        await expectStatus('other customer', route, OTHER_TOKEN, [403]);
+    }
+
+    // The owner and staff still get through (read-only routes, so nothing changes)
+    console.log('\n🔓 Allowed access');
+    await expectStatus('owner', ['get', `/orders/${ORDER_ID}`], OWNER_TOKEN, [200]);
+    await expectStatus('owner', ['get', `/tracking/${ORDER_ID}`], OWNER_TOKEN, [200]);
+    if (ADMIN_TOKEN) {
+        await expectStatus('admin', ['get', `/orders/${ORDER_ID}`], ADMIN_TOKEN, [200]);
+        await expectStatus('admin', ['get', '/messages'], ADMIN_TOKEN, [200]);
+        await expectStatus('admin', ['get', '/stats'], ADMIN_TOKEN, [200]);
+    } else {
+        console.log('ℹ TEST_ADMIN_TOKEN not set, skipping staff checks');
+    }
+
+    if (failures) {
+        console.error(`\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    console.log('\n🎉 All authorization checks passed');
+};
+
+run().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+import axios from 'axios';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Fires many checkouts for the same product at once and checks that stock is never oversold.
+// Usage: TEST_TOKEN=<jwt> TEST_PRODUCT_ID=<id> [CONCURRENCY=20] node scripts/test-concurrent-checkout.js
+
+// Load .env from backend directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const BASE_URL = process.env.TEST_API_URL || 'http://localhost:5000/api';
+const TOKEN = process.env.TEST_TOKEN;
+const PRODUCT_ID = process.env.TEST_PRODUCT_ID;
+const CONCURRENCY = Number(process.env.CONCURRENCY) || 20;
+
+if (!TOKEN || !PRODUCT_ID) {
+    console.error('❌ TEST_TOKEN and TEST_PRODUCT_ID are required');
+    process.exit(1);
+}
+
+const headers = { Authorization: `Bearer ${TOKEN}` };
+
+const shippingAddress = {
+    name: 'Concurrency Test',
+    phone: '9999999999',
+    address: '1 Test Street',
+    city: 'Mumbai',
+    state: 'Maharashtra',
+    postalCode: '400001',
+    country: 'India'
+};
+
+const getStock = async () => {
+    const { data } = await axios.get(`${BASE_URL}/products/${PRODUCT_ID}`);
+    return data.countInStock;
+};
+
+const run = async () => {
+    const initialStock = await getStock();
+    console.log(`📦 Initial stock: ${initialStock}`);
+    console.log(`🚀 Sending ${CONCURRENCY} concurrent checkouts...`);
+
+    const results = await Promise.allSettled(
+        Array.from({ length: CONCURRENCY }, () =>
+            axios.post(`${BASE_URL}/orders`, {
+                orderItems: [{ product: PRODUCT_ID, qty: 1 }],
+                shippingAddress,
+                paymentMethod: 'COD'
+            }, { headers })
+        )
+    );
+
+    const created = results.filter(r => r.status === 'fulfilled').map(r => r.value.data);
+    const finalStock = await getStock();
+
+    console.log(`✅ Orders created: ${created.length}`);
+    console.log(`📦 Final stock: ${finalStock}`);
+
+    const oversold = created.length > initialStock || finalStock < 0;
+    const consistent = finalStock === initialStock - created.length;
+
+    // Cancel the test orders so the stock is returned
+    for (const order of created) {
+        await axios.put(`${BASE_URL}/orders/${order._id}/cancel`, {}, { headers }).catch(() => { });
+    }
+    console.log(`🧹 Cancelled ${created.length} test orders. Stock now: ${await getStock()}`);
+
+    if (oversold || !consistent) {
+        console.error('❌ FAIL: stock was oversold or left inconsistent');
+        process.exit(1);
+    }
+    console.log('🎉 PASS: no overselling');
+};
+
+run().catch(error => {
+    if (error.response) {
+        console.error('❌ Server Error:', error.response.status, error.response.data);
+    } else {
+        console.error('❌ Network/Script Error:', error.message);
+    }
+    process.exit(1);
+});
@@ -1,74 +1,121 @@
 import crypto from 'crypto';
+import fs from 'fs';
 import axios from 'axios';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+// Replays signed Razorpay webhook fixtures from scripts/webhook-fixtures against a running server.
+// Each fixture is sent twice with the same event ID; the second delivery must come back as a duplicate.
+// Usage: TEST_ORDER_ID=<order id> [TEST_PAYMENT_ID=<pay_...>] [TEST_REFUND_ID=<rfnd_...>]
+//        node scripts/test-webhook.js [payment.captured refund.processed ...]
+// With no arguments every fixture is replayed.
+
 // Load .env from backend directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
 const SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
-const URL = 'http://localhost:5000/api/payment/webhook';
+const URL = process.env.TEST_WEBHOOK_URL || 'http://localhost:5000/api/payment/webhook';
+const FIXTURES_DIR = path.join(__dirname, 'webhook-fixtures');
 
 if (!SECRET) {
     console.error('❌ RAZORPAY_WEBHOOK_SECRET not found in .env');
     process.exit(1);
 }
 
-// Mock Payload matching Razorpay structure
-const payload = {
-    "entity": "event",
-    "account_id": "acc_test",
-    "event": "payment.captured",
-    "contains": [
-        "payment"
-    ],
-    "payload": {
-        "payment": {
-            "entity": {
-                "id": "pay_test_" + Date.now(),
-                "entity": "payment",
-                "amount": 50000,
-                "currency": "INR",
-                "status": "captured",
-                "order_id": "order_test_" + Date.now(),
-                "notes": {
-                    "orderId": "65c3f..." // Mock Order ID
-                }
-            }
-        }
-    },
-    "created_at": Date.now()
+if (!process.env.TEST_ORDER_ID) {
+    console.error('❌ TEST_ORDER_ID is required (an unpaid online order)');
+    process.exit(1);
+}
+
+const now = Date.now();
+const values = {
+    ORDER_ID: process.env.TEST_ORDER_ID,
+    PAYMENT_ID: process.env.TEST_PAYMENT_ID || `pay_test_${now}`,
+    REFUND_ID: process.env.TEST_REFUND_ID || `rfnd_test_${now}`,
+    NOW: String(Math.floor(now / 1000))
 };
 
-// Create Signature
-const payloadString = JSON.stringify(payload);
-const signature = crypto
-    .createHmac('sha256', SECRET)
-    .update(payloadString)
-    .digest('hex');
-
-console.log('🚀 Sending Test Webhook...');
-console.log('URL:', URL);
-console.log('Secret (Last 4):', SECRET.slice(-4));
-console.log('Signature:', signature);
-
-// Send Request
-axios.post(URL, payload, {
-    headers: {
-        'x-razorpay-signature': signature,
-        'Content-Type': 'application/json'
+const loadFixture = (name) => {
+    const file = path.join(FIXTURES_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown fixture: ${name}`);
     }
-})
-    .then(response => {
-        console.log('✅ Success! Server responded with:', response.data);
-    })
-    .catch(error => {
-        if (error.response) {
-            console.error('❌ Server Error:', error.response.status, error.response.data);
-        } else {
-            console.error('❌ Network/Script Error:', error.message);
-        }
+    const template = fs.readFileSync(file, 'utf8');
+    return template.replace(/{{(\w+)}}/g, (match, key) => values[key] ?? match);
+};
+
+// Sign the exact bytes that are sent, as Razorpay does
+const send = (rawBody, eventId, signature) => {
+    return axios.post(URL, rawBody, {
+        headers: {
+            'x-razorpay-signature': signature ?? crypto.createHmac('sha256', SECRET).update(rawBody).digest('hex'),
+            'x-razorpay-event-id': eventId,
+            'Content-Type': 'application/json'
+        },
+        validateStatus: () => true
     });
+};
+
+const replay = async (name) => {
+    const rawBody = loadFixture(name);
+    const eventId = `evt_${name.replace(/\./g, '_')}_${now}`;
+
+    console.log(`\n🚀 ${name} (${eventId})`);
+
+    const first = await send(rawBody, eventId);
+    if (first.status !== 200 || first.data.status !== 'ok') {
+        console.error('❌ First delivery failed:', first.status, first.data);
+        return false;
+    }
+    console.log('✅ First delivery processed:', first.data);
+
+    const second = await send(rawBody, eventId);
+    if (second.status !== 200 || second.data.status !== 'duplicate') {
+        console.error('❌ Replay was not detected as a duplicate:', second.status, second.data);
+        return false;
+    }
+    console.log('✅ Replay ignored as duplicate');
+
+    return true;
+};
+
+const run = async () => {
+    const names = process.argv.slice(2).length
+        ? process.argv.slice(2)
+        : fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).map(file => file.replace(/\.json$/, ''));
+
+    console.log('URL:', URL);
+    console.log('Secret (Last 4):', SECRET.slice(-4));
+    console.log('Order:', values.ORDER_ID, '| Payment:', values.PAYMENT_ID, '| Refund:', values.REFUND_ID);
+
+    let failures = 0;
+
+    // A tampered body must be rejected before anything is recorded
+    const tampered = await send(loadFixture(names[0]), `evt_tampered_${now}`, 'invalid-signature');
+    if (tampered.status === 400) {
+        console.log('\n✅ Invalid signature rejected');
+    } else {
+        console.error('\n❌ Invalid signature was accepted:', tampered.status, tampered.data);
+        failures++;
+    }
+
+    for (const name of names) {
+        try {
+            if (!(await replay(name))) failures++;
+        } catch (error) {
+            console.error(`❌ ${name}:`, error.message);
+            failures++;
+        }
+    }
+
+    if (failures) {
+        console.error(`\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    console.log(`\n🎉 All ${names.length} fixture(s) replayed successfully`);
+};
+
+run();
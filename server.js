@@ -20,6 +20,13 @@ import statsRoutes from "./routes/stats.routes.js";
 import bannerRoutes from "./routes/bannerRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import jobRoutes from "./routes/jobRoutes.js";
+import couponRoutes from "./routes/coupon.routes.js";
+import reviewRoutes from "./routes/review.routes.js";
+import cartRoutes from "./routes/cart.routes.js";
+import shippingRoutes from "./routes/shipping.routes.js";
+
+import { startReservationSweeper } from "./services/reservationSweeper.js";
+import { initSocket } from "./services/socketService.js";
 
 dotenv.config();
 
@@ -45,14 +52,22 @@ app.use(
       }
     },
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "Accept", "X-Requested-With"],
+    allowedHeaders: ["Content-Type", "Authorization", "Accept", "X-Requested-With", "X-Cart-Token", "X-Order-Token"],
     credentials: true,
     optionsSuccessStatus: 200,
   })
 );
 
 // ---------- MIDDLEWARE ----------
-app.use(express.json({ limit: "100mb" }));
+app.use(express.json({
+  limit: "100mb",
+  // Keep the exact bytes of webhook requests for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/payment/webhook")) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ limit: "100mb", extended: true }));
 
 // ---------- HTTP + SOCKET.IO ----------
@@ -65,6 +80,9 @@ const io = new Server(server, {
   },
 });
 
+// JWT-authenticated connections, joined to per-user and admin rooms
+initSocket(io);
+
 // ---------- MONGODB CONNECTION ----------
 const connectDB = async () => {
   try {
@@ -101,6 +119,10 @@ app.use("/api/stats", statsRoutes);
 app.use("/api/banners", bannerRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/jobs", jobRoutes);
+app.use("/api/coupons", couponRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/cart", cartRoutes);
+app.use("/api/shipping", shippingRoutes);
 
 // ---------- GLOBAL ERROR HANDLER ----------
 app.use((err, req, res, next) => {
@@ -110,6 +132,8 @@ app.use((err, req, res, next) => {
     success: false,
     status,
     message,
+    // Field-level details from request validation (middleware/validate.js)
+    ...(Array.isArray(err.errors) && { errors: err.errors }),
   });
 });
 
@@ -118,5 +142,6 @@ const PORT = process.env.PORT || 5000;
 
 server.listen(PORT, () => {
   connectDB();
+  startReservationSweeper();
   console.log(`🚀 Server running on port ${PORT}`);
 });
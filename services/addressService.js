@@ -0,0 +1,86 @@
+import User from '../models/User.js';
+import { createError } from '../utils/error.js';
+
+const MAX_ADDRESSES = 10;
+
+// The fields copied into Order.shippingAddress
+const SHIPPING_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'postalCode', 'country'];
+
+const findUser = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) throw createError(404, 'User not found');
+    return user;
+};
+
+const findAddress = (user, addressId) => {
+    const address = user.addresses.id(addressId);
+    if (!address) throw createError(404, 'Address not found');
+    return address;
+};
+
+// Keep exactly one default: the preferred address, else the current default,
+// else the most recently added one
+const settleDefault = (user, preferred) => {
+    const chosen = preferred ||
+        user.addresses.find((address) => address.isDefault) ||
+        user.addresses[user.addresses.length - 1];
+    for (const address of user.addresses) {
+        address.isDefault = address._id.equals(chosen._id);
+    }
+};
+
+const saveAddresses = async (user) => {
+    if (user.addresses.length) settleDefault(user);
+    await user.save();
+    return user.addresses;
+};
+
+// Every function below returns the user's full, updated address list
+export const listAddresses = async (userId) => (await findUser(userId)).addresses;
+
+export const addAddress = async (userId, data) => {
+    const user = await findUser(userId);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+        throw createError(400, `You can save up to ${MAX_ADDRESSES} addresses`);
+    }
+
+    user.addresses.push({ ...data, isDefault: false });
+    // The first address is the default; a later one only when asked for
+    if (data.isDefault || user.addresses.length === 1) {
+        settleDefault(user, user.addresses[user.addresses.length - 1]);
+    }
+    return saveAddresses(user);
+};
+
+// Replace an address. Unsetting isDefault here is ignored: choose another default instead.
+export const updateAddress = async (userId, addressId, data) => {
+    const user = await findUser(userId);
+    const address = findAddress(user, addressId);
+
+    const { isDefault, ...fields } = data;
+    // Fields left out go back to their defaults, as for a new address
+    address.set({ label: 'Home', country: 'India', ...fields });
+    if (isDefault) settleDefault(user, address);
+    return saveAddresses(user);
+};
+
+export const removeAddress = async (userId, addressId) => {
+    const user = await findUser(userId);
+    findAddress(user, addressId).deleteOne();
+    return saveAddresses(user);
+};
+
+export const setDefaultAddress = async (userId, addressId) => {
+    const user = await findUser(userId);
+    settleDefault(user, findAddress(user, addressId));
+    return saveAddresses(user);
+};
+
+// Copy a saved address for an order, so later edits don't change where it was shipped
+export const snapshotAddress = async (userId, addressId) => {
+    const user = await User.findById(userId).select('addresses');
+    const address = user?.addresses.id(addressId);
+    if (!address) throw createError(404, 'Saved address not found');
+
+    return Object.fromEntries(SHIPPING_FIELDS.map((field) => [field, address[field]]));
+};
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import Cart from '../models/Cart.js';
+import { priceLine } from './pricingService.js';
+import { placeOrder } from './orderService.js';
+import { cartConfig } from '../config/cart.js';
+import { createError } from '../utils/error.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const guestExpiry = () => new Date(Date.now() + cartConfig.guestCartDays * 24 * 60 * 60 * 1000);
+
+// Whose cart a request is for: { userId } when logged in, otherwise { guestToken }
+const ownerFilter = ({ userId, guestToken }) => {
+    if (userId) return { user: userId };
+    if (guestToken) return { guestTokenHash: hashToken(guestToken) };
+    return null;
+};
+
+// Lines with the same product, variant and options are one line with a larger quantity
+const lineKey = (item) => JSON.stringify([
+    String(item.product),
+    String(item.variant || ''),
+    item.size || '',
+    item.color || '',
+    item.stitchingDetails?.option || '',
+    item.stitchingDetails?.stitchingSize || '',
+    item.stitchingDetails?.padding || '',
+    item.stitchingDetails?.blouseDesign || '',
+    Boolean(item.sareeAddOns?.preDrape),
+    Boolean(item.sareeAddOns?.petticoat)
+]);
+
+const toOrderItem = (line) => ({
+    product: line.product,
+    variant: line.variant,
+    qty: line.qty,
+    size: line.size,
+    color: line.color,
+    stitchingDetails: line.stitchingDetails,
+    sareeAddOns: line.sareeAddOns
+});
+
+const findCart = (owner) => {
+    const filter = ownerFilter(owner);
+    return filter ? Cart.findOne(filter) : null;
+};
+
+// The owner's cart, created on first use. A new guest cart comes with the token
+// the client must send from then on; it is only ever returned here.
+const findOrCreateCart = async (owner) => {
+    if (owner.userId) {
+        const cart = await Cart.findOneAndUpdate(
+            { user: owner.userId },
+            { $setOnInsert: { user: owner.userId } },
+            { upsert: true, new: true }
+        );
+        return { cart };
+    }
+
+    const cart = await findCart(owner);
+    if (cart) return { cart };
+
+    const cartToken = crypto.randomBytes(24).toString('hex');
+    return { cart: new Cart({ guestTokenHash: hashToken(cartToken) }), cartToken };
+};
+
+const saveCart = (cart) => {
+    if (!cart.user) cart.expiresAt = guestExpiry();
+    return cart.save();
+};
+
+// Reject a quantity the catalogue can't currently supply
+const assertInStock = (priced, qty) => {
+    if (priced.available < 1) {
+        throw createError(400, `${priced.name} is out of stock`);
+    }
+    if (qty > priced.available) {
+        throw createError(400, `Only ${priced.available} of ${priced.name} left in stock`);
+    }
+};
+
+// Reprice every line against the live catalogue and flag the ones that can't be
+// ordered as they are: status is ok, insufficient_stock, out_of_stock or unavailable
+// (product or variant gone). Lines whose price moved since the customer last saw
+// it carry priceChanged and previousPrice; the new price is then remembered.
+export const priceCart = async (cart) => {
+    const items = [];
+    let changed = false;
+
+    for (const line of cart.items) {
+        const view = {
+            _id: line._id,
+            product: line.product,
+            variant: line.variant,
+            qty: line.qty,
+            size: line.size,
+            color: line.color,
+            stitchingDetails: line.stitchingDetails,
+            sareeAddOns: line.sareeAddOns
+        };
+
+        let priced;
+        try {
+            priced = await priceLine(toOrderItem(line));
+        } catch (error) {
+            if (error.status !== 400 && error.status !== 404) throw error;
+            items.push({ ...view, price: line.price, status: 'unavailable', message: error.message });
+            continue;
+        }
+
+        let status = 'ok';
+        if (priced.available < 1) status = 'out_of_stock';
+        else if (line.qty > priced.available) status = 'insufficient_stock';
+
+        const priceChanged = line.price !== undefined && line.price !== priced.price;
+        items.push({
+            ...view,
+            name: priced.name,
+            image: priced.image,
+            sku: priced.sku,
+            price: priced.price,
+            lineTotal: Math.round(priced.price * line.qty * 100) / 100,
+            available: priced.available,
+            status,
+            priceChanged,
+            ...(priceChanged && { previousPrice: line.price })
+        });
+
+        if (line.price !== priced.price) {
+            line.price = priced.price;
+            changed = true;
+        }
+    }
+
+    if (changed) await saveCart(cart);
+
+    const orderable = items.filter((item) => item.status === 'ok');
+    return {
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.qty, 0),
+        itemsPrice: Math.round(orderable.reduce((sum, item) => sum + item.lineTotal, 0) * 100) / 100,
+        hasIssues: orderable.length !== items.length
+    };
+};
+
+const emptyCart = { items: [], itemCount: 0, itemsPrice: 0, hasIssues: false };
+
+export const getCart = async (owner) => {
+    const cart = await findCart(owner);
+    return cart ? priceCart(cart) : emptyCart;
+};
+
+// Add a line, or raise the quantity of an identical one.
+// Returns the priced cart, plus cartToken when a guest cart was just created.
+export const addItem = async (owner, item) => {
+    const { cart, cartToken } = await findOrCreateCart(owner);
+
+    // Resolve the variant first so a line added by size/colour matches one added by variant ID
+    const priced = await priceLine(item);
+    const line = {
+        ...toOrderItem(item),
+        variant: priced.variant,
+        size: priced.size,
+        color: priced.color
+    };
+
+    const existing = cart.items.find((cartLine) => lineKey(cartLine) === lineKey(line));
+    const qty = Math.min((existing?.qty || 0) + item.qty, cartConfig.maxQty);
+    assertInStock(priced, qty);
+
+    if (existing) {
+        existing.qty = qty;
+        existing.price = priced.price;
+    } else {
+        if (cart.items.length >= cartConfig.maxLines) {
+            throw createError(400, `A cart can hold at most ${cartConfig.maxLines} items`);
+        }
+        cart.items.push({ ...line, qty, price: priced.price });
+    }
+
+    await saveCart(cart);
+    return { ...(await priceCart(cart)), ...(cartToken && { cartToken }) };
+};
+
+// Change a line's quantity or options; it merges into an identical line if there is one
+export const updateItem = async (owner, itemId, changes) => {
+    const cart = await findCart(owner);
+    const line = cart?.items.id(itemId);
+    if (!line) throw createError(404, 'Cart item not found');
+
+    const item = { ...toOrderItem(line), ...changes };
+    // Picking another size or colour means another variant
+    if (changes.size !== undefined || changes.color !== undefined) {
+        if (!changes.variant) delete item.variant;
+    }
+
+    const priced = await priceLine(item);
+    const updated = { ...item, variant: priced.variant, size: priced.size, color: priced.color };
+
+    const duplicate = cart.items.find((cartLine) => !cartLine._id.equals(line._id) && lineKey(cartLine) === lineKey(updated));
+    if (duplicate) {
+        updated.qty = Math.min(duplicate.qty + updated.qty, cartConfig.maxQty);
+        assertInStock(priced, updated.qty);
+        duplicate.qty = updated.qty;
+        duplicate.price = priced.price;
+        line.deleteOne();
+    } else {
+        assertInStock(priced, updated.qty);
+        line.set({ ...updated, price: priced.price });
+    }
+
+    await saveCart(cart);
+    return priceCart(cart);
+};
+
+export const removeItem = async (owner, itemId) => {
+    const cart = await findCart(owner);
+    const line = cart?.items.id(itemId);
+    if (!line) throw createError(404, 'Cart item not found');
+
+    line.deleteOne();
+    await saveCart(cart);
+    return priceCart(cart);
+};
+
+export const clearCart = async (owner) => {
+    const cart = await findCart(owner);
+    if (cart) {
+        cart.items = [];
+        await saveCart(cart);
+    }
+    return emptyCart;
+};
+
+// Move a guest cart into the user's cart when they log in. Identical lines are
+// combined. The guest cart is claimed (deleted) first so it can only merge once.
+export const mergeGuestCart = async (userId, guestToken) => {
+    if (!guestToken) return;
+
+    const guestCart = await Cart.findOneAndDelete({ guestTokenHash: hashToken(guestToken) });
+    if (!guestCart || guestCart.items.length === 0) return;
+
+    const { cart } = await findOrCreateCart({ userId });
+    for (const guestLine of guestCart.items) {
+        const existing = cart.items.find((line) => lineKey(line) === lineKey(guestLine));
+        if (existing) {
+            existing.qty = Math.min(existing.qty + guestLine.qty, cartConfig.maxQty);
+        } else if (cart.items.length < cartConfig.maxLines) {
+            cart.items.push({ ...toOrderItem(guestLine.toObject()), price: guestLine.price });
+        }
+    }
+
+    await saveCart(cart);
+};
+
+// Place an order for everything in the cart; the ordered lines are then removed from
+// the cart. checkout holds the user (or guest contact details) and the placeOrder fields.
+// Refused while any line is unavailable or short of stock.
+export const checkoutCart = async (owner, checkout) => {
+    const cart = await findCart(owner);
+    if (!cart || cart.items.length === 0) {
+        throw createError(400, 'Your cart is empty');
+    }
+
+    const priced = await priceCart(cart);
+    if (priced.hasIssues) {
+        throw createError(409, 'Some items in your cart are unavailable or out of stock. Please review your cart.');
+    }
+
+    const lines = cart.items.map((line) => line._id);
+    const order = await placeOrder({ ...checkout, orderItems: cart.items.map(toOrderItem) });
+
+    await Cart.updateOne({ _id: cart._id }, { $pull: { items: { _id: { $in: lines } } } });
+    return order;
+};
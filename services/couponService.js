@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import Coupon from '../models/Coupon.js';
+import { createError } from '../utils/error.js';
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const countUserRedemptions = (coupon, userId) =>
+    coupon.redemptions.filter(r => r.user.toString() === userId.toString()).length;
+
+// Look up a coupon and check that it can currently be used (by this user, if known)
+export const findUsableCoupon = async (code, userId) => {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon || !coupon.isActive) {
+        throw createError(400, 'Invalid coupon code');
+    }
+
+    const now = new Date();
+    if ((coupon.validFrom && coupon.validFrom > now) || (coupon.validUntil && coupon.validUntil < now)) {
+        throw createError(400, 'This coupon is not valid at the moment');
+    }
+
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+        throw createError(400, 'This coupon has reached its usage limit');
+    }
+
+    if (userId && countUserRedemptions(coupon, userId) >= coupon.perUserLimit) {
+        throw createError(400, 'You have already used this coupon');
+    }
+
+    return coupon;
+};
+
+// Discount for a priced cart. Lines carry the productId and category they belong to.
+export const calculateDiscount = (coupon, lines, itemsPrice) => {
+    if (itemsPrice < coupon.minCartValue) {
+        throw createError(400, `Add items worth ₹${roundPrice(coupon.minCartValue - itemsPrice)} more to use this coupon`);
+    }
+
+    const scopedProducts = coupon.applicableProducts.map(id => id.toString());
+    const isScoped = scopedProducts.length > 0 || coupon.applicableCategories.length > 0;
+
+    const eligibleTotal = lines
+        .filter(line => !isScoped ||
+            scopedProducts.includes(line.productId.toString()) ||
+            coupon.applicableCategories.includes(line.category))
+        .reduce((sum, line) => sum + line.price * line.qty, 0);
+
+    if (eligibleTotal === 0) {
+        throw createError(400, 'This coupon does not apply to the items in your cart');
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleTotal * coupon.discountValue / 100
+        : coupon.discountValue;
+
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return roundPrice(Math.min(discount, eligibleTotal));
+};
+
+// Count a redemption atomically. The global and per-user limits are part of the
+// update filter, so two concurrent checkouts can never both take the last use.
+export const redeemCoupon = async (couponId, userId, orderId, discount, session) => {
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+    const redeemed = await Coupon.findOneAndUpdate(
+        {
+            _id: couponId,
+            isActive: true,
+            $and: [
+                { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+                {
+                    $expr: {
+                        $lt: [
+                            { $size: { $filter: { input: '$redemptions', cond: { $eq: ['$$this.user', userObjectId] } } } },
+                            '$perUserLimit'
+                        ]
+                    }
+                }
+            ]
+        },
+        {
+            $inc: { usedCount: 1 },
+            $push: { redemptions: { user: userObjectId, order: orderId, discount } }
+        },
+        { session, new: true }
+    );
+
+    if (!redeemed) {
+        throw createError(409, 'This coupon is no longer available');
+    }
+
+    return redeemed;
+};
+
+// Give a use back to the coupon when its order is cancelled, abandoned or expires
+export const releaseCouponRedemption = async (order, session) => {
+    if (!order.coupon?.coupon) return;
+
+    await Coupon.updateOne(
+        { _id: order.coupon.coupon, 'redemptions.order': order._id },
+        { $inc: { usedCount: -1 }, $pull: { redemptions: { order: order._id } } },
+        { session }
+    );
+};
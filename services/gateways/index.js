@@ -0,0 +1,56 @@
+import { paymentConfig } from '../../config/payment.js';
+import { createError } from '../../utils/error.js';
+import razorpayGateway from './razorpay.js';
+import stripeGateway from './stripe.js';
+import mockGateway from './mock.js';
+
+// Every gateway implements the same interface:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, key?, clientSecret? }
+//   verify(checkoutResponse)                           -> { valid, paymentId, gatewayOrderId, method, email? }
+//   refund(paymentId, amount, notes)                   -> { id, status: 'pending' | 'processed' }
+//   fetchStatus(paymentId)                             -> { id, status, amount, currency, refundedAmount }
+//   parseWebhook(rawBody, headers)                     -> { id, event, body, type, data } or null if unsigned
+// Amounts are in major units of the order currency.
+const gateways = {
+    razorpay: razorpayGateway,
+    stripe: stripeGateway,
+    mock: mockGateway
+};
+
+export const GATEWAY_NAMES = Object.keys(gateways);
+
+export const getGateway = (name) => {
+    const gateway = gateways[name];
+    if (!gateway) {
+        throw createError(400, `Unsupported payment gateway: ${name}`);
+    }
+    return gateway;
+};
+
+export const isSupportedCurrency = (currency) => Boolean(paymentConfig.currencies[currency]);
+
+// Normalise a client-supplied currency code, defaulting to the catalogue currency
+export const resolveCurrency = (currency) => {
+    const code = (currency || paymentConfig.currency).toString().toUpperCase();
+    if (!isSupportedCurrency(code)) {
+        throw createError(400, `Unsupported currency: ${currency}`);
+    }
+    return code;
+};
+
+// Catalogue prices are in paymentConfig.currency; convert using the rate locked on the order
+export const toOrderCurrency = (amount, exchangeRate = 1) => Math.round(amount * exchangeRate * 100) / 100;
+
+export const fromOrderCurrency = (amount, exchangeRate = 1) => Math.round((amount / exchangeRate) * 100) / 100;
+
+// Pick the gateway configured for a currency. In mock mode an unconfigured gateway
+// falls back to the mock one so checkout works without credentials.
+export const selectGateway = (currency = paymentConfig.currency) => {
+    const name = paymentConfig.currencies[currency]?.gateway;
+    const gateway = name && gateways[name];
+
+    if (gateway?.isConfigured()) return gateway;
+    if (paymentConfig.mode === 'mock') return mockGateway;
+
+    throw createError(503, `No payment gateway is configured for ${currency}`);
+};
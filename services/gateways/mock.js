@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { toMinorUnits, fromMinorUnits, signaturesMatch } from './utils.js';
+
+// In-memory gateway for development and tests. It keeps real state, so paying an unknown
+// or already-paid order fails and refunds can never exceed what was captured.
+// State is lost when the server restarts, exactly like a fresh sandbox account.
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+const newId = (prefix) => `mock_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const mockGateway = {
+    name: 'mock',
+
+    isConfigured: () => true,
+
+    createOrder: async ({ amount, currency, receipt, notes = {} }) => {
+        const order = {
+            id: newId('order'),
+            amount: toMinorUnits(amount),
+            currency,
+            receipt,
+            notes,
+            status: 'created'
+        };
+        orders.set(order.id, order);
+        return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    // "Pays" the mock order. Checkout sends the mock order ID in the Razorpay field names.
+    // Pass simulate_failure to exercise the failure path.
+    verify: async ({ gateway_order_id, razorpay_order_id, orderId, simulate_failure }) => {
+        const order = orders.get(gateway_order_id || razorpay_order_id);
+        if (!order || order.notes.orderId !== String(orderId)) {
+            return { valid: false };
+        }
+        if (order.status === 'paid') {
+            return { valid: true, paymentId: order.paymentId, gatewayOrderId: order.id, method: 'mock' };
+        }
+        if (simulate_failure) {
+            return { valid: false };
+        }
+
+        const payment = {
+            id: newId('pay'),
+            orderId: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            status: 'captured',
+            refunded: 0
+        };
+        payments.set(payment.id, payment);
+        order.status = 'paid';
+        order.paymentId = payment.id;
+
+        return { valid: true, paymentId: payment.id, gatewayOrderId: order.id, method: 'mock' };
+    },
+
+    // Settles immediately
+    refund: async (paymentId, amount, notes = {}) => {
+        const payment = payments.get(paymentId);
+        if (!payment) {
+            throw new Error(`Unknown mock payment: ${paymentId}`);
+        }
+
+        const refundAmount = amount ? toMinorUnits(amount) : payment.amount - payment.refunded;
+        if (refundAmount <= 0 || payment.refunded + refundAmount > payment.amount) {
+            throw new Error('Refund amount exceeds the captured amount');
+        }
+
+        const refund = { id: newId('refund'), paymentId, amount: refundAmount, notes, status: 'processed' };
+        refunds.set(refund.id, refund);
+        payment.refunded += refundAmount;
+        payment.status = payment.refunded === payment.amount ? 'refunded' : 'captured';
+
+        return { id: refund.id, status: refund.status };
+    },
+
+    fetchStatus: async (paymentId) => {
+        const payment = payments.get(paymentId);
+        if (!payment) {
+            throw new Error(`Unknown mock payment: ${paymentId}`);
+        }
+        return {
+            id: payment.id,
+            status: payment.status,
+            amount: fromMinorUnits(payment.amount),
+            currency: payment.currency,
+            refundedAmount: fromMinorUnits(payment.refunded)
+        };
+    },
+
+    // Mock webhooks are already in the normalised { id, type, data } shape and are signed
+    // with X-Mock-Signature: HMAC-SHA256 of the body using MOCK_WEBHOOK_SECRET.
+    // Without MOCK_WEBHOOK_SECRET every mock webhook is rejected.
+    parseWebhook: (rawBody, headers) => {
+        const secret = process.env.MOCK_WEBHOOK_SECRET;
+        const signature = headers['x-mock-signature'];
+        if (!secret || !rawBody || !signature) return null;
+
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        if (!signaturesMatch(signature, expected)) return null;
+
+        const body = JSON.parse(rawBody.toString());
+        return { id: body.id, event: body.type, body, type: body.type, data: body.data || {} };
+    }
+};
+
+export default mockGateway;
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import Razorpay from 'razorpay';
+import { toMinorUnits, fromMinorUnits, signaturesMatch } from './utils.js';
+
+let client = null;
+
+const getClient = () => {
+    if (!client) {
+        client = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET
+        });
+    }
+    return client;
+};
+
+// Razorpay error objects carry the useful message under error.description
+const gatewayError = (error) => new Error(error.error?.description || error.message);
+
+const REFUND_STATUSES = {
+    'refund.created': 'refund.pending',
+    'refund.processed': 'refund.processed',
+    'refund.failed': 'refund.failed'
+};
+
+const razorpayGateway = {
+    name: 'razorpay',
+
+    isConfigured: () => Boolean(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET),
+
+    // Checkout needs the Razorpay order ID and our public key
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+        try {
+            const order = await getClient().orders.create({
+                amount: toMinorUnits(amount),
+                currency,
+                receipt,
+                notes
+            });
+            return {
+                id: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                key: process.env.RAZORPAY_KEY_ID
+            };
+        } catch (error) {
+            throw gatewayError(error);
+        }
+    },
+
+    // Checkout hands back order ID, payment ID and an HMAC of the two
+    verify: async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return { valid: false };
+        }
+
+        const expected = crypto
+            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+            .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+            .digest('hex');
+
+        return {
+            valid: signaturesMatch(razorpay_signature, expected),
+            paymentId: razorpay_payment_id,
+            gatewayOrderId: razorpay_order_id,
+            method: 'razorpay'
+        };
+    },
+
+    refund: async (paymentId, amount, notes = {}) => {
+        try {
+            const refund = await getClient().payments.refund(paymentId, {
+                amount: amount ? toMinorUnits(amount) : undefined,
+                notes
+            });
+            return { id: refund.id, status: refund.status === 'processed' ? 'processed' : 'pending' };
+        } catch (error) {
+            throw gatewayError(error);
+        }
+    },
+
+    fetchStatus: async (paymentId) => {
+        try {
+            const payment = await getClient().payments.fetch(paymentId);
+            return {
+                id: payment.id,
+                status: payment.status,
+                amount: fromMinorUnits(payment.amount),
+                currency: payment.currency,
+                refundedAmount: fromMinorUnits(payment.amount_refunded || 0)
+            };
+        } catch (error) {
+            throw gatewayError(error);
+        }
+    },
+
+    // Verify the X-Razorpay-Signature header against the exact bytes received and
+    // translate the event into the shape services/webhookService.js works with.
+    // Returns null when the signature does not match.
+    parseWebhook: (rawBody, headers) => {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        const signature = headers['x-razorpay-signature'];
+        if (!rawBody || !secret || !signature) return null;
+
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        if (!signaturesMatch(signature, expected)) return null;
+
+        const body = JSON.parse(rawBody.toString());
+        const { event, payload = {} } = body;
+        // Razorpay sends a unique X-Razorpay-Event-Id; fall back to a hash of the body for older integrations
+        const id = headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+        const payment = payload.payment?.entity;
+        const razorpayOrder = payload.order?.entity;
+
+        if (event === 'payment.captured' || event === 'order.paid') {
+            return {
+                id,
+                event,
+                body,
+                type: 'payment.succeeded',
+                data: {
+                    paymentId: payment.id,
+                    gatewayOrderId: payment.order_id,
+                    // Our order ID travels in the notes of the Razorpay order/payment (see createPaymentOrder)
+                    orderId: payment.notes?.orderId || razorpayOrder?.notes?.orderId || razorpayOrder?.receipt,
+                    method: payment.method ? `razorpay_${payment.method}` : 'razorpay',
+                    email: payment.email
+                }
+            };
+        }
+
+        if (event === 'payment.failed') {
+            return {
+                id,
+                event,
+                body,
+                type: 'payment.failed',
+                data: {
+                    paymentId: payment.id,
+                    orderId: payment.notes?.orderId,
+                    reason: payment.error_description
+                }
+            };
+        }
+
+        if (REFUND_STATUSES[event]) {
+            const refund = payload.refund.entity;
+            return {
+                id,
+                event,
+                body,
+                type: REFUND_STATUSES[event],
+                data: {
+                    refundId: refund.id,
+                    paymentId: refund.payment_id,
+                    amount: fromMinorUnits(refund.amount),
+                    currency: refund.currency,
+                    localRefundId: refund.notes?.refundId,
+                    reason: refund.error_description
+                }
+            };
+        }
+
+        if (event?.startsWith('payment.dispute.')) {
+            const dispute = payload.dispute.entity;
+            return {
+                id,
+                event,
+                body,
+                type: 'dispute.updated',
+                data: {
+                    id: dispute.id,
+                    paymentId: dispute.payment_id,
+                    status: dispute.status || event.split('.').pop(),
+                    amount: fromMinorUnits(dispute.amount),
+                    currency: dispute.currency,
+                    reason: dispute.reason_description || dispute.reason_code
+                }
+            };
+        }
+
+        return { id, event, body, type: event, data: {} };
+    }
+};
+
+export default razorpayGateway;
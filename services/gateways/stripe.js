@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { toMinorUnits, fromMinorUnits, signaturesMatch } from './utils.js';
+
+// Signed webhook timestamps older than this are rejected to stop replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+let client = null;
+
+// Loaded on first use, so the package is only needed when Stripe is enabled
+const getClient = async () => {
+    if (!client) {
+        const { default: Stripe } = await import('stripe');
+        client = new Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return client;
+};
+
+const REFUND_STATUSES = {
+    pending: 'refund.pending',
+    requires_action: 'refund.pending',
+    succeeded: 'refund.processed',
+    failed: 'refund.failed',
+    canceled: 'refund.failed'
+};
+
+// Stripe-Signature: t=<timestamp>,v1=<hmac of "timestamp.body">[,v1=...]
+const verifySignature = (rawBody, header, secret) => {
+    const parts = String(header).split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || !signatures.length) return false;
+
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return signatures.some(signature => signaturesMatch(signature, expected));
+};
+
+const stripeGateway = {
+    name: 'stripe',
+
+    isConfigured: () => Boolean(process.env.STRIPE_SECRET_KEY),
+
+    // Stripe Elements confirms the PaymentIntent with its client secret
+    createOrder: async ({ amount, currency, receipt, notes }) => {
+        const intent = await (await getClient()).paymentIntents.create({
+            amount: toMinorUnits(amount),
+            currency: currency.toLowerCase(),
+            metadata: { ...notes, receipt },
+            automatic_payment_methods: { enabled: true }
+        });
+        return {
+            id: intent.id,
+            amount: intent.amount,
+            currency: intent.currency.toUpperCase(),
+            clientSecret: intent.client_secret,
+            key: process.env.STRIPE_PUBLISHABLE_KEY
+        };
+    },
+
+    // The client only tells us which PaymentIntent it confirmed; ask Stripe whether it succeeded
+    // and that it belongs to this order
+    verify: async ({ payment_intent_id, orderId }) => {
+        if (!payment_intent_id) return { valid: false };
+
+        const intent = await (await getClient()).paymentIntents.retrieve(payment_intent_id);
+        return {
+            valid: intent.status === 'succeeded' && intent.metadata?.orderId === String(orderId),
+            paymentId: intent.id,
+            gatewayOrderId: intent.id,
+            method: intent.payment_method_types?.[0] ? `stripe_${intent.payment_method_types[0]}` : 'stripe',
+            email: intent.receipt_email
+        };
+    },
+
+    refund: async (paymentId, amount, notes = {}) => {
+        const refund = await (await getClient()).refunds.create({
+            payment_intent: paymentId,
+            amount: amount ? toMinorUnits(amount) : undefined,
+            metadata: notes
+        });
+        if (refund.status === 'failed' || refund.status === 'canceled') {
+            throw new Error(refund.failure_reason || `Refund ${refund.status}`);
+        }
+        return { id: refund.id, status: refund.status === 'succeeded' ? 'processed' : 'pending' };
+    },
+
+    fetchStatus: async (paymentId) => {
+        const intent = await (await getClient()).paymentIntents.retrieve(paymentId, { expand: ['latest_charge'] });
+        return {
+            id: intent.id,
+            status: intent.status,
+            amount: fromMinorUnits(intent.amount),
+            currency: intent.currency.toUpperCase(),
+            refundedAmount: fromMinorUnits(intent.latest_charge?.amount_refunded || 0)
+        };
+    },
+
+    // Returns null when the Stripe-Signature header does not match
+    parseWebhook: (rawBody, headers) => {
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        const signature = headers['stripe-signature'];
+        if (!rawBody || !secret || !signature || !verifySignature(rawBody, signature, secret)) {
+            return null;
+        }
+
+        const body = JSON.parse(rawBody.toString());
+        const { id, type: event } = body;
+        const object = body.data?.object || {};
+
+        if (event === 'payment_intent.succeeded') {
+            return {
+                id,
+                event,
+                body,
+                type: 'payment.succeeded',
+                data: {
+                    paymentId: object.id,
+                    gatewayOrderId: object.id,
+                    orderId: object.metadata?.orderId,
+                    method: object.payment_method_types?.[0] ? `stripe_${object.payment_method_types[0]}` : 'stripe',
+                    email: object.receipt_email
+                }
+            };
+        }
+
+        if (event === 'payment_intent.payment_failed') {
+            return {
+                id,
+                event,
+                body,
+                type: 'payment.failed',
+                data: {
+                    paymentId: object.id,
+                    orderId: object.metadata?.orderId,
+                    reason: object.last_payment_error?.message
+                }
+            };
+        }
+
+        if (['refund.created', 'refund.updated', 'refund.failed', 'charge.refund.updated'].includes(event)) {
+            return {
+                id,
+                event,
+                body,
+                type: REFUND_STATUSES[object.status] || 'refund.pending',
+                data: {
+                    refundId: object.id,
+                    paymentId: object.payment_intent,
+                    amount: fromMinorUnits(object.amount),
+                    currency: object.currency?.toUpperCase(),
+                    localRefundId: object.metadata?.refundId,
+                    reason: object.failure_reason
+                }
+            };
+        }
+
+        if (event?.startsWith('charge.dispute.')) {
+            return {
+                id,
+                event,
+                body,
+                type: 'dispute.updated',
+                data: {
+                    id: object.id,
+                    paymentId: object.payment_intent,
+                    status: object.status,
+                    amount: fromMinorUnits(object.amount),
+                    currency: object.currency?.toUpperCase(),
+                    reason: object.reason
+                }
+            };
+        }
+
+        return { id, event, body, type: event, data: {} };
+    }
+};
+
+export default stripeGateway;
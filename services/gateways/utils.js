@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+// Gateways take amounts in the smallest currency unit (paise/cents)
+export const toMinorUnits = (amount) => Math.round(amount * 100);
+
+export const fromMinorUnits = (amount) => Math.round(amount) / 100;
+
+// Constant-time comparison of two hex signatures
+export const signaturesMatch = (received, expected) => {
+    const a = Buffer.from(String(received));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
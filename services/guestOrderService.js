@@ -0,0 +1,99 @@
+import Order from '../models/Order.js';
+import { requestOtp, verifyOtp, normalizeEmail, normalizePhone } from './otpService.js';
+import { signOrderAccessToken } from './tokenService.js';
+import { sendGuestOrderEmail } from './mailService.js';
+import { sendSms } from './smsService.js';
+import { mailConfig } from '../config/mail.js';
+import { createError } from '../utils/error.js';
+
+// Orders placed without an account that nobody has claimed yet
+const UNCLAIMED = { user: { $exists: false } };
+
+const SUMMARY_FIELDS = 'trackingStatus totalPrice isPaid createdAt orderItems.name orderItems.qty orderItems.image';
+
+// Guest contact details as stored on the order
+export const normalizeGuest = ({ name, email, phone } = {}) => ({
+    name,
+    email: email ? normalizeEmail(email) : undefined,
+    phone: phone ? normalizePhone(phone) : undefined
+});
+
+// Lookups go by phone number or email, whichever the guest gives
+const lookupTarget = ({ email, phone }) => phone
+    ? { channel: 'sms', destination: normalizePhone(phone), field: 'guest.phone' }
+    : { channel: 'email', destination: normalizeEmail(email), field: 'guest.email' };
+
+// The order as returned to a guest, with the token that opens it (X-Order-Token header)
+export const withGuestAccess = (order) => {
+    const json = order.toObject ? order.toObject() : order;
+    return order.user ? json : { ...json, accessToken: signOrderAccessToken(order._id) };
+};
+
+// Email (or text) the guest a link to track the order
+export const sendGuestOrderLink = async (order) => {
+    const link = `${mailConfig.clientUrl}/track/${order._id}?token=${signOrderAccessToken(order._id)}`;
+
+    if (order.guest?.email) {
+        await sendGuestOrderEmail(order, link);
+    } else if (order.guest?.phone) {
+        await sendSms(order.guest.phone, `Thank you for your Sheshri order #${order._id.toString().slice(-8)}. Track it here: ${link}`);
+    }
+};
+
+// Send a lookup code. Answers the same way (and counts towards the same limits)
+// whether or not there are guest orders for the email/phone.
+export const requestOrderLookup = async (contact) => {
+    const target = lookupTarget(contact);
+    const hasOrders = await Order.exists({ ...UNCLAIMED, [target.field]: target.destination });
+
+    await requestOtp({
+        channel: target.channel,
+        destination: target.destination,
+        purpose: 'order_lookup',
+        deliver: Boolean(hasOrders)
+    });
+};
+
+// Check a lookup code and return the guest's orders, each with a fresh access token
+export const verifyOrderLookup = async ({ code, ...contact }) => {
+    const target = lookupTarget(contact);
+    const valid = await verifyOtp({ destination: target.destination, purpose: 'order_lookup', code });
+    if (!valid) {
+        throw createError(400, 'Invalid or expired code');
+    }
+
+    const orders = await Order.find({ ...UNCLAIMED, [target.field]: target.destination })
+        .select(SUMMARY_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(50);
+
+    return orders.map(withGuestAccess);
+};
+
+// Guest orders placed with one of the user's verified contacts. An unverified email
+// or phone number proves nothing, so it never claims anything.
+const claimFilter = (user) => {
+    const contacts = [];
+    if (user.email && user.isEmailVerified) contacts.push({ 'guest.email': normalizeEmail(user.email) });
+    if (user.phoneNumber && user.isPhoneVerified) contacts.push({ 'guest.phone': normalizePhone(user.phoneNumber) });
+    return contacts.length ? { ...UNCLAIMED, $or: contacts } : null;
+};
+
+export const findClaimableOrders = async (user) => {
+    const filter = claimFilter(user);
+    if (!filter) return { orders: [], verificationRequired: true };
+
+    const orders = await Order.find(filter).select(SUMMARY_FIELDS).sort({ createdAt: -1 });
+    return { orders, verificationRequired: false };
+};
+
+// Move the user's guest orders into their account. Returns how many were claimed.
+export const claimGuestOrders = async (user) => {
+    const filter = claimFilter(user);
+    if (!filter) {
+        throw createError(403, 'Please verify your email or phone number to claim orders placed as a guest');
+    }
+
+    const result = await Order.updateMany(filter, { $set: { user: user._id } });
+    return result.modifiedCount;
+};
@@ -0,0 +1,141 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { createError } from '../utils/error.js';
+
+const variantLabel = (item) => {
+    const label = [item.size, item.color].filter(Boolean).join(' / ');
+    return label ? ` (${label})` : '';
+};
+
+// Decrement stock for every order line, but only while enough stock remains.
+// Pass the session of the surrounding transaction so a failed line rolls back the others.
+export const reserveStock = async (orderItems, session) => {
+    for (const item of orderItems) {
+        // Lines for a size/colour variant take stock from that variant (and the product total)
+        if (item.variant) {
+            const updatedVariant = await Product.findOneAndUpdate(
+                {
+                    _id: item.product,
+                    inStock: true,
+                    variants: { $elemMatch: { _id: item.variant, countInStock: { $gte: item.qty } } }
+                },
+                { $inc: { 'variants.$.countInStock': -item.qty, countInStock: -item.qty, soldCount: item.qty } },
+                { session }
+            );
+            if (!updatedVariant) {
+                throw createError(400, `Insufficient stock for product: ${item.name || item.product}${variantLabel(item)}`);
+            }
+            continue;
+        }
+
+        // Try as main product. Products with variants only sell through their variants.
+        const updatedMain = await Product.findOneAndUpdate(
+            { _id: item.product, inStock: true, countInStock: { $gte: item.qty }, 'variants.0': { $exists: false } },
+            { $inc: { countInStock: -item.qty, soldCount: item.qty } },
+            { session }
+        );
+        if (updatedMain) continue;
+
+        // Otherwise try as add-on item
+        const updatedAddOn = await Product.findOneAndUpdate(
+            {
+                addOnItems: {
+                    $elemMatch: { _id: item.product, inStock: true, countInStock: { $gte: item.qty } }
+                }
+            },
+            { $inc: { 'addOnItems.$.countInStock': -item.qty } },
+            { session }
+        );
+
+        if (!updatedAddOn) {
+            throw createError(400, `Insufficient stock for product: ${item.name || item.product}`);
+        }
+    }
+};
+
+// Return the stock held by order lines (cancellation, abandonment)
+export const restoreStock = async (orderItems, session) => {
+    for (const item of orderItems) {
+        if (item.variant) {
+            const updatedVariant = await Product.findOneAndUpdate(
+                { _id: item.product, 'variants._id': item.variant },
+                { $inc: { 'variants.$.countInStock': item.qty, countInStock: item.qty, soldCount: -item.qty } },
+                { session }
+            );
+            if (!updatedVariant) {
+                // The variant was removed after the order was placed; there is no stock left to return it to
+                await Product.updateOne({ _id: item.product }, { $inc: { soldCount: -item.qty } }, { session });
+            }
+            continue;
+        }
+
+        const updatedMain = await Product.findByIdAndUpdate(
+            item.product,
+            { $inc: { countInStock: item.qty, soldCount: -item.qty } },
+            { session }
+        );
+
+        if (!updatedMain) {
+            await Product.findOneAndUpdate(
+                { 'addOnItems._id': item.product },
+                { $inc: { 'addOnItems.$.countInStock': item.qty } },
+                { session }
+            );
+        }
+    }
+};
+
+// Return an order's stock exactly once. The stockReleased flag is claimed atomically,
+// so the sweeper, cancelOrder and abandonOrder can never restore the same stock twice.
+// Returns the claimed order, or null when the stock was already released (or the filter no longer matches).
+export const releaseOrderStock = async (orderId, session, filter = {}) => {
+    const order = await Order.findOneAndUpdate(
+        { ...filter, _id: orderId, stockReleased: { $ne: true } },
+        { $set: { stockReleased: true }, $unset: { reservationExpiresAt: 1 } },
+        { session, new: true }
+    );
+
+    if (!order) return null;
+
+    await restoreStock(order.orderItems, session);
+    return order;
+};
+
+// Turn the timed hold of a just-paid order into a permanent one.
+// If the hold expired, try to reserve the stock again. Stock released for any other
+// reason (a cancellation) stays released.
+// Returns false when the items are no longer available.
+export const confirmStockHold = async (order) => {
+    const secured = await Order.updateOne(
+        { _id: order._id, stockReleased: { $ne: true } },
+        { $unset: { reservationExpiresAt: 1 } }
+    );
+
+    if (secured.matchedCount === 0) {
+        let reserved = false;
+        try {
+            await mongoose.connection.transaction(async (session) => {
+                reserved = false;
+                const revived = await Order.updateOne(
+                    { _id: order._id, stockReleased: true, trackingStatus: 'expired' },
+                    { $set: { stockReleased: false }, $unset: { reservationExpiresAt: 1 } },
+                    { session }
+                );
+                if (revived.matchedCount === 0) return;
+
+                await reserveStock(order.orderItems, session);
+                reserved = true;
+            });
+        } catch (error) {
+            if (error.status === 400) return false;
+            throw error;
+        }
+        if (!reserved) return false;
+    }
+
+    // Keep the in-memory document in sync so a later save() doesn't undo the update
+    order.stockReleased = false;
+    order.reservationExpiresAt = undefined;
+    return true;
+};
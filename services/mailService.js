@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { mailConfig } from '../config/mail.js';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Each transport takes a message { from, to, subject, text, html } and delivers it
+const transports = {
+    console: async (message) => {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    },
+
+    file: async (message) => {
+        await fs.mkdir(mailConfig.outboxDir, { recursive: true });
+        const file = path.join(mailConfig.outboxDir, `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+        await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    },
+
+    smtp: (() => {
+        let transporter = null;
+        return async (message) => {
+            if (!transporter) {
+                // Loaded on first use, so nodemailer is only needed when SMTP is configured
+                const { default: nodemailer } = await import('nodemailer');
+                transporter = nodemailer.createTransport(mailConfig.smtp);
+            }
+            await transporter.sendMail(message);
+        };
+    })()
+};
+
+// Register another transport (e.g. a provider API) under a name usable in MAIL_TRANSPORT
+export const registerMailTransport = (name, send) => {
+    transports[name] = send;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+    const send = transports[mailConfig.transport];
+    if (!send) {
+        throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+    await send({ from: mailConfig.from, to, subject, text, html });
+};
+
+export const sendPasswordResetEmail = (user, token) => {
+    const link = `${mailConfig.clientUrl}/reset-password?token=${token}`;
+    const name = user.name || user.username;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your Sheshri password',
+        text: `Hi ${name},\n\nUse the link below to choose a new password. It expires in ${mailConfig.passwordResetMinutes} minutes and can only be used once.\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+        html: `<p>Hi ${escapeHtml(name)},</p><p>Use the link below to choose a new password. It expires in ${mailConfig.passwordResetMinutes} minutes and can only be used once.</p><p><a href="${link}">Reset your password</a></p><p>If you didn't ask for this, you can ignore this email.</p>`
+    });
+};
+
+export const sendVerificationEmail = (user, token) => {
+    const link = `${mailConfig.clientUrl}/verify-email?token=${token}`;
+    const name = user.name || user.username;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Confirm your email for Sheshri',
+        text: `Hi ${name},\n\nPlease confirm your email address by opening the link below. It expires in ${mailConfig.emailVerificationHours} hours.\n\n${link}`,
+        html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address. The link expires in ${mailConfig.emailVerificationHours} hours.</p><p><a href="${link}">Confirm my email</a></p>`
+    });
+};
+
+export const sendOtpEmail = (to, code, purpose = 'login') => {
+    if (purpose === 'order_lookup') {
+        return sendMail({
+            to,
+            subject: `${code} is your Sheshri order lookup code`,
+            text: `Your Sheshri order lookup code is ${code}. Do not share it with anyone.\n\nIf you didn't ask to see your orders, you can ignore this email.`,
+            html: `<p>Your Sheshri order lookup code is <strong>${code}</strong>. Do not share it with anyone.</p><p>If you didn't ask to see your orders, you can ignore this email.</p>`
+        });
+    }
+
+    return sendMail({
+        to,
+        subject: `${code} is your Sheshri login code`,
+        text: `Your Sheshri login code is ${code}. Do not share it with anyone.\n\nIf you didn't try to log in, you can ignore this email.`,
+        html: `<p>Your Sheshri login code is <strong>${code}</strong>. Do not share it with anyone.</p><p>If you didn't try to log in, you can ignore this email.</p>`
+    });
+};
+
+// Confirmation for a guest checkout, with the link to track the order without an account
+export const sendGuestOrderEmail = (order, link) => {
+    const name = order.guest.name || order.shippingAddress?.name || 'there';
+    const number = order._id.toString().slice(-8);
+
+    return sendMail({
+        to: order.guest.email,
+        subject: `Your Sheshri order #${number}`,
+        text: `Hi ${name},\n\nThank you for your order #${number} totaling ₹${order.totalPrice}. You can track it here:\n\n${link}\n\nCreate an account with this email address to see all your orders in one place.`,
+        html: `<p>Hi ${escapeHtml(name)},</p><p>Thank you for your order #${number} totaling ₹${order.totalPrice}.</p><p><a href="${link}">Track your order</a></p><p>Create an account with this email address to see all your orders in one place.</p>`
+    });
+};
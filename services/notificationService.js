@@ -1,4 +1,54 @@
 import Notification from '../models/Notification.js';
+import Product from '../models/Product.js';
+import User from '../models/User.js';
+import { emitToUser, emitToStaff } from './socketService.js';
+import { PERMISSIONS, rolesWithPermission } from '../config/permissions.js';
+import { sendGuestOrderLink } from './guestOrderService.js';
+
+// Staff whose role grants the permission, e.g. everyone who handles orders
+export const findStaff = (permission) => User.find({ role: { $in: rolesWithPermission(permission) } });
+
+// Push the current unread count to a user's open sockets
+export const emitUnreadCount = async (userId) => {
+    try {
+        const count = await Notification.countDocuments({ user: userId, read: false });
+        emitToUser(userId, 'notification:unread-count', { count });
+    } catch (error) {
+        console.error('Error emitting unread count:', error);
+    }
+};
+
+// Create a notification and push it (with the new unread count) to the user live.
+// Guest orders have no account to notify, so a missing user is skipped.
+export const pushNotification = async (data) => {
+    if (!data.user) return null;
+
+    const notification = await Notification.create(data);
+
+    emitToUser(notification.user, 'notification:new', notification);
+    await emitUnreadCount(notification.user);
+
+    return notification;
+};
+
+// Push an order's latest status to its customer and to the order fulfilment dashboard
+export const emitOrderUpdate = (order, event = 'order:updated') => {
+    const payload = {
+        orderId: order._id,
+        trackingStatus: order.trackingStatus,
+        trackingNumber: order.trackingNumber,
+        courierPartner: order.courierPartner,
+        estimatedDelivery: order.estimatedDelivery,
+        isPaid: order.isPaid,
+        isDelivered: order.isDelivered,
+        returnStatus: order.returnStatus,
+        lastUpdate: order.trackingHistory?.[order.trackingHistory.length - 1],
+        updatedAt: order.updatedAt
+    };
+
+    emitToUser(order.user, event, payload);
+    emitToStaff(PERMISSIONS.ORDERS, event, { ...payload, user: order.user, totalPrice: order.totalPrice });
+};
 
 // Create notification for order events
 export const createOrderNotification = async (userId, order, type = 'order') => {
@@ -23,7 +73,7 @@ export const createOrderNotification = async (userId, order, type = 'order') =>
                 message = `Update on your order #${order._id.toString().slice(-8)}`;
         }
 
-        const notification = await Notification.create({
+        const notification = await pushNotification({
             user: userId,
             title,
             message,
@@ -68,12 +118,20 @@ export const createTrackingNotification = async (userId, order, status) => {
                 title = 'Order Cancelled';
                 message = `Your order has been cancelled.`;
                 break;
+            case 'returned':
+                title = 'Order Returned';
+                message = `Your return has been completed.`;
+                break;
+            case 'expired':
+                title = 'Order Expired';
+                message = `We didn't receive payment in time, so your order has expired.`;
+                break;
             default:
                 title = 'Order Status Update';
                 message = `Your order status has been updated.`;
         }
 
-        const notification = await Notification.create({
+        const notification = await pushNotification({
             user: userId,
             title,
             message,
@@ -101,7 +159,7 @@ export const createPaymentNotification = async (userId, order, status) => {
             message = `Payment for order #${order._id.toString().slice(-8)} failed. Please try again.`;
         }
 
-        const notification = await Notification.create({
+        const notification = await pushNotification({
             user: userId,
             title,
             message,
@@ -115,3 +173,101 @@ export const createPaymentNotification = async (userId, order, status) => {
         console.error('Error creating payment notification:', error);
     }
 };
+
+// Create notification for refund events
+export const createRefundNotification = async (userId, order, refund) => {
+    try {
+        let title, message;
+
+        if (refund.status === 'processed') {
+            title = 'Refund Processed';
+            message = `Your refund of ₹${refund.amount} for order #${order._id.toString().slice(-8)} has been processed.`;
+        } else if (refund.status === 'failed') {
+            title = 'Refund Delayed';
+            message = `We couldn't process the refund for order #${order._id.toString().slice(-8)} automatically. Our team will contact you.`;
+        } else {
+            title = 'Refund Initiated';
+            message = `A refund of ₹${refund.amount} for order #${order._id.toString().slice(-8)} has been initiated to your original payment method.`;
+        }
+
+        const notification = await pushNotification({
+            user: userId,
+            title,
+            message,
+            type: 'payment',
+            link: `/order/${order._id}`,
+            relatedOrder: order._id
+        });
+
+        return notification;
+    } catch (error) {
+        console.error('Error creating refund notification:', error);
+    }
+};
+
+// Notify the customer and admins about a new order, and admins about any resulting low stock
+export const sendNewOrderNotifications = async (order) => {
+    try {
+        // Create User Notification; guests get their tracking link instead
+        if (order.user) {
+            await pushNotification({
+                user: order.user,
+                title: 'Order Placed!',
+                message: `Your order #${order._id.toString().slice(-8)} has been placed successfully.`,
+                type: 'order',
+                link: '/orders',
+                read: false,
+                relatedOrder: order._id
+            });
+        } else {
+            await sendGuestOrderLink(order);
+        }
+
+        // Notify Admins about new order
+        const admins = await findStaff(PERMISSIONS.ORDERS);
+        for (const admin of admins) {
+            if (admin.notificationPreferences?.orderAlerts !== false) {
+                await pushNotification({
+                    user: admin._id,
+                    title: 'New Order Received!',
+                    message: `Order #${order._id.toString().slice(-8)} totaling ₹${order.totalPrice} has been placed.`,
+                    type: 'order',
+                    link: `/admin/order/${order._id}`,
+                    read: false,
+                    relatedOrder: order._id
+                });
+            }
+        }
+
+        // Check for Low Stock and notify catalog managers
+        const catalogManagers = await findStaff(PERMISSIONS.CATALOG);
+        for (const item of order.orderItems) {
+            const product = await Product.findById(item.product);
+            if (!product) continue;
+
+            // Variant lines are checked against the stock of the size/colour that was sold
+            const variant = item.variant ? product.variants.id(item.variant) : null;
+            const stock = variant ? variant.countInStock : product.countInStock;
+            const label = variant
+                ? `${product.name} (${[variant.size, variant.color].filter(Boolean).join(' / ')})`
+                : product.name;
+
+            if (stock <= 5) { // Threshold for low stock
+                for (const admin of catalogManagers) {
+                    if (admin.notificationPreferences?.lowStockAlerts !== false) {
+                        await pushNotification({
+                            user: admin._id,
+                            title: 'Low Stock Alert!',
+                            message: `Product '${label}' is low in stock (${stock} remaining).`,
+                            type: 'tracking',
+                            link: `/admin/product/${product._id}/edit`,
+                            read: false
+                        });
+                    }
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error sending order notifications:', error);
+    }
+};
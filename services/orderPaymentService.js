@@ -0,0 +1,255 @@
+import Order from '../models/Order.js';
+import { confirmStockHold } from './inventoryService.js';
+import { applyStatus } from './orderStatus.js';
+import { issueRefund } from './refundService.js';
+import { getGateway } from './gateways/index.js';
+import {
+    createPaymentNotification,
+    createOrderNotification,
+    emitOrderUpdate,
+    pushNotification,
+    sendNewOrderNotifications,
+    findStaff
+} from './notificationService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { addLedgerEntry } from './paymentLedger.js';
+import AuditLog from '../models/AuditLog.js';
+import { createError } from '../utils/error.js';
+
+// Refund a payment captured for an order that no longer exists (abandoned while the
+// customer was paying). Staff are told when the gateway won't refund it, so they can do it
+// by hand. Returns whether the payment is refunded.
+const refundOrphanedPayment = async (orderId, payment) => {
+    const shortId = orderId.toString().slice(-8);
+    try {
+        const gateway = getGateway(payment.gateway);
+        // The client verification and the webhook can both get here; refund only once
+        const status = await gateway.fetchStatus(payment.paymentId);
+        if (status.refundedAmount < status.amount) {
+            await gateway.refund(payment.paymentId, undefined, { orderId: orderId.toString(), reason: 'Order no longer exists' });
+        }
+        return true;
+    } catch (error) {
+        console.error(`Refund of payment ${payment.paymentId} for deleted order ${orderId} failed:`, error);
+
+        const admins = await findStaff(PERMISSIONS.ORDERS);
+        for (const admin of admins) {
+            await pushNotification({
+                user: admin._id,
+                title: 'Refund Needed',
+                message: `Payment ${payment.paymentId} (${payment.gateway}) was captured for deleted order #${shortId} and could not be refunded automatically: ${error.message}`,
+                type: 'payment'
+            });
+        }
+        return false;
+    }
+};
+
+// Mark an order paid after a verified gateway payment (client verification or webhook).
+// The isPaid flag is claimed atomically, so whichever of the two arrives second is a no-op
+// and notifications are only sent once. Returns { order, alreadyPaid, stockUnavailable, orderCancelled },
+// or { order: null, orderMissing, refunded } when the order was deleted before the payment arrived.
+// Payments for cancelled orders and for expired holds that can't be reserved again are refunded.
+export const markOrderPaid = async (orderId, payment, { message = 'Payment received', confirm = false } = {}) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, isPaid: false },
+        {
+            $set: {
+                isPaid: true,
+                paidAt: Date.now(),
+                paymentGateway: payment.gateway,
+                paymentResult: {
+                    id: payment.paymentId,
+                    status: 'completed',
+                    update_time: Date.now(),
+                    razorpay_order_id: payment.gatewayOrderId,
+                    payment_method: payment.method || payment.gateway,
+                    email_address: payment.email
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!order) {
+        const existing = await Order.findById(orderId);
+        if (existing) return { order: existing, alreadyPaid: true };
+
+        const refunded = await refundOrphanedPayment(orderId, payment);
+        return { order: null, orderMissing: true, refunded };
+    }
+
+    addLedgerEntry(order, {
+        kind: 'payment',
+        source: 'gateway',
+        gateway: payment.gateway,
+        method: payment.method,
+        amount: order.totalPrice,
+        reference: payment.paymentId,
+        receivedAt: order.paidAt
+    });
+
+    // Cancelled while the customer was paying: keep the payment on record and give it back.
+    // Its stock was released with the cancellation and isn't reserved again.
+    if (order.trackingStatus === 'cancelled') {
+        order.trackingHistory.push({
+            status: 'cancelled',
+            message: 'Payment received after the order was cancelled. Payment refunded.',
+            location: 'Online',
+            timestamp: new Date()
+        });
+        await order.save();
+        await issueRefund(order, { reason: 'Order was cancelled before the payment arrived' });
+        emitOrderUpdate(order);
+        return { order, orderCancelled: true };
+    }
+
+    // The stock hold may have expired while the customer was paying
+    const stockHeld = await confirmStockHold(order);
+    if (!stockHeld) {
+        applyStatus(order, 'cancelled', {
+            message: 'Payment received after the reserved items sold out. Order cancelled and refunded.',
+            location: 'Online'
+        });
+        await order.save();
+        await issueRefund(order, { reason: 'Items no longer available' });
+        emitOrderUpdate(order);
+        return { order, stockUnavailable: true };
+    }
+
+    if (order.trackingStatus === 'expired') {
+        applyStatus(order, 'pending', { message: 'Payment received after the hold expired; stock reserved again', location: 'Online' });
+    }
+
+    if (confirm && order.trackingStatus === 'pending') {
+        applyStatus(order, 'confirmed', { message, location: 'Online' });
+    } else {
+        order.trackingHistory.push({
+            status: order.trackingStatus,
+            message,
+            location: 'Online',
+            timestamp: new Date()
+        });
+    }
+
+    await order.save();
+    emitOrderUpdate(order);
+
+    // Send the notifications that were delayed during order creation
+    await sendNewOrderNotifications(order);
+    await createPaymentNotification(order.user, order, 'success');
+    await createOrderNotification(order.user, order, 'order_created');
+
+    return { order };
+};
+
+// Record a failed payment attempt on an unpaid order and let the customer and admins know
+export const recordPaymentFailure = async (orderId, reason) => {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, isPaid: false },
+        {
+            $set: {
+                'paymentResult.status': 'failed',
+                'paymentResult.update_time': Date.now(),
+                'paymentResult.error_description': reason
+            }
+        },
+        { new: true }
+    );
+    if (!order) return null;
+
+    await createPaymentNotification(order.user, order, 'failure');
+
+    const admins = await findStaff(PERMISSIONS.ORDERS);
+    for (const admin of admins) {
+        if (admin.notificationPreferences?.orderAlerts !== false) {
+            await pushNotification({
+                user: admin._id,
+                title: 'Payment Failed',
+                message: `Payment for order #${order._id.toString().slice(-8)} failed${reason ? `: ${reason}` : '.'}`,
+                type: 'payment',
+                link: `/admin/order/${order._id}`,
+                relatedOrder: order._id
+            });
+        }
+    }
+
+    return order;
+};
+
+// Record a payment received outside the gateways (cash on delivery, bank transfer, ...) by staff.
+// Like markOrderPaid the isPaid flag is claimed atomically; the acting admin, amount, method and
+// reference go into the payment ledger and the audit log.
+export const recordOfflinePayment = async (orderId, { amount, method, reference, note, receivedAt }, { userId, ip, userAgent } = {}) => {
+    const current = await Order.findById(orderId);
+    if (!current) throw createError(404, 'Order not found');
+    if (current.isPaid) throw createError(409, 'Order is already paid');
+    if (Math.abs(amount - current.totalPrice) >= 0.01) {
+        throw createError(400, `Amount must match the order total of ₹${current.totalPrice}`);
+    }
+
+    const paidAt = receivedAt || new Date();
+
+    // Orders whose stock was released (expired/cancelled) can't be paid without placing them again
+    const order = await Order.findOneAndUpdate(
+        {
+            _id: orderId,
+            isPaid: false,
+            stockReleased: { $ne: true },
+            trackingStatus: { $nin: ['cancelled', 'expired', 'returned'] }
+        },
+        {
+            $set: {
+                isPaid: true,
+                paidAt,
+                // No paymentResult.id: offline payments are refunded manually, not through a gateway
+                paymentResult: {
+                    status: 'completed',
+                    update_time: Date.now(),
+                    payment_method: method
+                }
+            },
+            $unset: { reservationExpiresAt: 1 }
+        },
+        { new: true }
+    );
+
+    if (!order) {
+        const latest = await Order.findById(orderId).select('isPaid trackingStatus');
+        if (latest?.isPaid) throw createError(409, 'Order is already paid');
+        throw createError(409, `Cannot record a payment for an order that is ${latest?.trackingStatus}`);
+    }
+
+    addLedgerEntry(order, {
+        kind: 'payment',
+        source: 'offline',
+        method,
+        amount,
+        reference,
+        note,
+        recordedBy: userId,
+        receivedAt: paidAt
+    });
+    order.trackingHistory.push({
+        status: order.trackingStatus,
+        message: `Payment of ₹${amount} received (${method})`,
+        updatedBy: userId,
+        timestamp: new Date()
+    });
+    await order.save();
+
+    await AuditLog.create({
+        actor: userId,
+        action: 'order.payment.offline',
+        targetType: 'Order',
+        targetId: order._id,
+        changes: { from: { isPaid: false }, to: { isPaid: true, amount, method, reference } },
+        ip,
+        userAgent
+    });
+
+    emitOrderUpdate(order);
+    await createPaymentNotification(order.user, order, 'success');
+
+    return order;
+};
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { createError } from '../utils/error.js';
+import { escapeRegex } from '../utils/regex.js';
+
+// Sort options for admin order lists. _id breaks ties so cursors are stable.
+// Each sort is backed by an index on Order (see models/Order.js).
+export const ORDER_SORTS = {
+    newest: { field: 'createdAt', direction: -1 },
+    oldest: { field: 'createdAt', direction: 1 },
+    updated: { field: 'updatedAt', direction: -1 },
+    total_high: { field: 'totalPrice', direction: -1 },
+    total_low: { field: 'totalPrice', direction: 1 }
+};
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+
+// Cursors are opaque to the client: the sort value and _id of the last order on the page
+const encodeCursor = (order, { field }) =>
+    Buffer.from(JSON.stringify({ v: order[field], id: order._id })).toString('base64url');
+
+const decodeCursor = (cursor, { field }) => {
+    try {
+        const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!mongoose.isValidObjectId(id) || v === undefined) throw new Error();
+        return {
+            value: DATE_FIELDS.includes(field) ? new Date(v) : v,
+            id: new mongoose.Types.ObjectId(id)
+        };
+    } catch {
+        throw createError(400, 'Invalid cursor');
+    }
+};
+
+// Orders after the cursor in the given sort order
+const afterCursor = ({ value, id }, { field, direction }) => {
+    const op = direction === -1 ? '$lt' : '$gt';
+    return {
+        $or: [
+            { [field]: { [op]: value } },
+            { [field]: value, _id: { [op]: id } }
+        ]
+    };
+};
+
+// Free-text search: order ID suffix (as shown to customers, e.g. #1a2b3c4d), customer
+// name/username/email, phone number (account, guest contact or shipping address) and tracking number
+const searchFilter = async (q) => {
+    const term = q.trim();
+    const pattern = escapeRegex(term);
+    const clauses = [
+        { trackingNumber: { $regex: `^${pattern}`, $options: 'i' } },
+        { 'guest.email': { $regex: pattern, $options: 'i' } }
+    ];
+
+    if (/^[0-9a-f]{24}$/i.test(term)) {
+        clauses.push({ _id: new mongoose.Types.ObjectId(term) });
+    } else if (/^#?[0-9a-f]{4,23}$/i.test(term)) {
+        clauses.push({
+            $expr: {
+                $regexMatch: { input: { $toString: '$_id' }, regex: `${term.replace('#', '')}$`, options: 'i' }
+            }
+        });
+    }
+
+    const digits = term.replace(/\D/g, '');
+    if (digits.length >= 4) {
+        clauses.push({ 'shippingAddress.phone': { $regex: escapeRegex(digits) } });
+        clauses.push({ 'guest.phone': { $regex: escapeRegex(digits) } });
+    }
+
+    const users = await User.find({
+        $or: [
+            { name: { $regex: pattern, $options: 'i' } },
+            { username: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } },
+            ...(digits.length >= 4 ? [{ phoneNumber: { $regex: escapeRegex(digits) } }] : [])
+        ]
+    }).select('_id').limit(500);
+    if (users.length) {
+        clauses.push({ user: { $in: users.map((user) => user._id) } });
+    }
+
+    return { $or: clauses };
+};
+
+// Build a MongoDB filter from validated list query parameters
+// (validations/order.validation.js orderListQuerySchema)
+export const buildOrderFilter = async (query) => {
+    const filter = {};
+
+    if (query.status?.length) filter.trackingStatus = { $in: query.status };
+    if (query.returnStatus?.length) filter.returnStatus = { $in: query.returnStatus };
+    if (query.paymentMethod) filter.paymentMethod = { $regex: `^${escapeRegex(query.paymentMethod)}$`, $options: 'i' };
+    if (query.isPaid !== undefined) filter.isPaid = query.isPaid;
+    if (query.customer) filter.user = query.customer;
+
+    if (query.from || query.to) {
+        filter.createdAt = {};
+        if (query.from) filter.createdAt.$gte = query.from;
+        if (query.to) filter.createdAt.$lte = query.to;
+    }
+    if (query.minTotal !== undefined || query.maxTotal !== undefined) {
+        filter.totalPrice = {};
+        if (query.minTotal !== undefined) filter.totalPrice.$gte = query.minTotal;
+        if (query.maxTotal !== undefined) filter.totalPrice.$lte = query.maxTotal;
+    }
+
+    if (query.q) {
+        Object.assign(filter, await searchFilter(query.q));
+    }
+
+    return filter;
+};
+
+const DEFAULT_POPULATE = { path: 'user', select: 'id name email' };
+
+// Orders per page when the client doesn't ask for a limit
+const DEFAULT_LIMIT = 20;
+
+// One page of orders matching the query. baseFilter narrows the list further (e.g. only
+// orders with a return request); select/populate shape the returned documents.
+// Returns { orders, total, nextCursor } where nextCursor is null on the last page.
+export const listOrders = async (query, { baseFilter = {}, select, populate = DEFAULT_POPULATE, defaultSort = 'newest' } = {}) => {
+    const sort = ORDER_SORTS[query.sort] || ORDER_SORTS[defaultSort];
+    const limit = query.limit || DEFAULT_LIMIT;
+
+    const filter = { $and: [baseFilter, await buildOrderFilter(query)] };
+    const pageFilter = query.cursor
+        ? { $and: [...filter.$and, afterCursor(decodeCursor(query.cursor, sort), sort)] }
+        : filter;
+
+    const ordersQuery = Order.find(pageFilter)
+        .sort({ [sort.field]: sort.direction, _id: sort.direction })
+        .limit(limit + 1);
+    // The sort field has to be loaded to build the next cursor
+    if (select) ordersQuery.select(`${select} ${sort.field}`);
+    if (populate) ordersQuery.populate(populate);
+
+    const [orders, total] = await Promise.all([ordersQuery, Order.countDocuments(filter)]);
+
+    // One extra order was fetched to tell whether there is another page
+    const hasMore = orders.length > limit;
+    if (hasMore) orders.pop();
+
+    return {
+        orders,
+        total,
+        nextCursor: hasMore ? encodeCursor(orders[orders.length - 1], sort) : null
+    };
+};
+
+// Response for the admin list endpoints. Clients written before pagination send no
+// parameters and get a bare array, as they always did, but only of the first page
+// (the newest DEFAULT_LIMIT orders); any filter, search, sort, limit or cursor gets the
+// full page object from listOrders.
+export const listOrdersResponse = async (query, options = {}) => {
+    const page = await listOrders(query, options);
+    return Object.keys(query).length > 0 ? page : page.orders;
+};
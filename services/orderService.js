@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { sendNewOrderNotifications, emitOrderUpdate } from './notificationService.js';
+import { quoteOrder, assertTotalsMatch } from './pricingService.js';
+import { reserveStock } from './inventoryService.js';
+import { redeemCoupon } from './couponService.js';
+import { paymentConfig } from '../config/payment.js';
+import { resolveCurrency, selectGateway, GATEWAY_NAMES } from './gateways/index.js';
+import { normalizeGuest } from './guestOrderService.js';
+import { snapshotAddress } from './addressService.js';
+import { createError } from '../utils/error.js';
+
+// Paid through a gateway: 'online', a gateway's name, or any currency other than the
+// catalogue's, since cash on delivery is only collected in the catalogue currency
+export const isOnlinePayment = (paymentMethod, currency) => {
+    const method = paymentMethod?.toLowerCase();
+    return method === 'online' || GATEWAY_NAMES.includes(method) || currency !== paymentConfig.currency;
+};
+
+// Price, reserve and save a new order. Used by POST /api/orders, guest checkout and the
+// cart checkout. Pass the logged-in user, or for a guest checkout no user and the guest's
+// contact details ({ name, email, phone }). The address is shippingAddress, or addressId
+// for one from the user's address book.
+// clientTotals are the amounts the customer was shown; a mismatch with the server
+// quote rejects the order (409) instead of charging a different amount.
+export const placeOrder = async ({
+    orderItems,
+    user,
+    guest,
+    shippingAddress,
+    addressId,
+    paymentMethod,
+    couponCode,
+    currency,
+    customization,
+    clientTotals = {},
+}) => {
+    if (!user) {
+        if (!guest?.email && !guest?.phone) {
+            throw createError(400, 'An email address or phone number is required to check out as a guest');
+        }
+        // Coupon limits are per customer, which a guest checkout can't enforce
+        if (couponCode) {
+            throw createError(400, 'Please log in to use a coupon');
+        }
+    }
+
+    // A saved address is copied in, so editing the address book later doesn't move the order
+    if (addressId) {
+        if (!user) throw createError(400, 'Please log in to use a saved address');
+        shippingAddress = await snapshotAddress(user.id, addressId);
+    }
+
+    // Price every line from the catalogue; never trust client-sent amounts
+    const quote = await quoteOrder(orderItems, { couponCode, userId: user?.id, shippingAddress });
+    assertTotalsMatch(quote, clientTotals);
+    const orderCurrency = resolveCurrency(currency);
+    const online = isOnlinePayment(paymentMethod, orderCurrency);
+    // Refuse an online order before reserving stock if nothing can take the payment
+    if (online) selectGateway(orderCurrency);
+
+    // Anything not paid online is collected on delivery, which not every zone offers
+    if (!online && !quote.shipping.codAvailable) {
+        throw createError(400, 'Cash on delivery is not available for this PIN code. Please pay online.');
+    }
+
+    const order = new Order({
+        orderItems: quote.orderItems,
+        user: user?.id,
+        guest: user ? undefined : normalizeGuest(guest),
+        shippingAddress,
+        paymentMethod,
+        itemsPrice: quote.itemsPrice,
+        discountPrice: quote.discountPrice,
+        coupon: quote.coupon,
+        taxPrice: quote.taxPrice,
+        shippingPrice: quote.shippingPrice,
+        totalPrice: quote.totalPrice,
+        currency: orderCurrency,
+        exchangeRate: paymentConfig.currencies[orderCurrency].exchangeRate,
+        customization,
+        // From the shipping zone; staff can still correct it when updating tracking
+        estimatedDelivery: quote.shipping.estimatedDelivery,
+        // Online orders only hold their stock until payment; the sweeper releases expired holds
+        reservationExpiresAt: online
+            ? new Date(Date.now() + paymentConfig.stockHoldMinutes * 60 * 1000)
+            : undefined,
+    });
+
+    // Reserve stock, redeem the coupon and save the order atomically: if any step
+    // fails, the whole transaction (earlier decrements included) is rolled back
+    let createdOrder;
+    await mongoose.connection.transaction(async (session) => {
+        await reserveStock(quote.orderItems, session);
+        if (quote.coupon) {
+            await redeemCoupon(quote.coupon.coupon, user.id, order._id, quote.discountPrice, session);
+        }
+        createdOrder = await order.save({ session });
+    });
+
+    // Only send notifications immediately for COD
+    // Online payment notifications will be sent after payment verification
+    if (!online) {
+        await sendNewOrderNotifications(createdOrder);
+    }
+
+    emitOrderUpdate(createdOrder, 'order:created');
+
+    return createdOrder;
+};
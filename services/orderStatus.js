@@ -0,0 +1,89 @@
+import { createError } from '../utils/error.js';
+
+// Canonical order status vocabulary. Every flow that changes Order.trackingStatus goes through this module.
+export const ORDER_STATUSES = [
+    'pending',
+    'confirmed',
+    'processing',
+    'shipped',
+    'out_for_delivery',
+    'delivered',
+    'cancelled',
+    'returned',
+    'expired'
+];
+
+export const STATUS_LABELS = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    processing: 'Processing',
+    shipped: 'Shipped',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    returned: 'Returned',
+    expired: 'Expired'
+};
+
+// Statuses staff can set directly (tracking updates and bulk updates). Cancelling,
+// returning and expiring release stock, coupons and payments, so they have their own flows.
+export const MANUAL_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'out_for_delivery', 'delivered'];
+
+// Allowed next statuses for each status. Re-posting the current status (e.g. a new
+// location update while shipped) is always allowed.
+const TRANSITIONS = {
+    pending: ['confirmed', 'processing', 'shipped', 'cancelled', 'expired'],
+    confirmed: ['processing', 'shipped', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['out_for_delivery', 'delivered'],
+    out_for_delivery: ['delivered', 'shipped'], // back to shipped after a failed delivery attempt
+    delivered: ['returned'],
+    cancelled: [],
+    returned: [],
+    // A payment that arrives after the stock hold expired revives the order,
+    // or cancels it (and is refunded) when the items are gone
+    expired: ['pending', 'cancelled']
+};
+
+// Map legacy spellings ('Out for delivery', 'Delivered', ...) to the canonical value.
+// Returns null for anything that is not a known status.
+export const normalizeStatus = (status) => {
+    if (typeof status !== 'string') return null;
+    const normalized = status.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return ORDER_STATUSES.includes(normalized) ? normalized : null;
+};
+
+export const canTransition = (from, to) => {
+    const current = normalizeStatus(from) || 'pending';
+    return current === to || TRANSITIONS[current].includes(to);
+};
+
+// Move an order to a new status, recording it in the tracking history.
+// Throws 400 for unknown statuses and 409 for transitions the table does not allow.
+export const applyStatus = (order, status, { message, location, updatedBy } = {}) => {
+    const next = normalizeStatus(status);
+    if (!next) {
+        throw createError(400, `Unknown order status: ${status}`);
+    }
+
+    if (!canTransition(order.trackingStatus, next)) {
+        throw createError(409, `Cannot change order status from ${order.trackingStatus} to ${next}`);
+    }
+
+    order.trackingStatus = next;
+    order.trackingHistory.push({
+        status: next,
+        message: message || `Order status updated to ${STATUS_LABELS[next]}`,
+        location: location || '',
+        timestamp: new Date(),
+        updatedBy
+    });
+
+    if (next === 'delivered' && !order.isDelivered) {
+        order.isDelivered = true;
+        order.deliveredAt = new Date();
+        order.actualDelivery = new Date();
+    }
+
+    return order;
+};
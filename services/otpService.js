@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import Otp from '../models/Otp.js';
+import { otpConfig } from '../config/otp.js';
+import { sendSms } from './smsService.js';
+import { sendOtpEmail } from './mailService.js';
+import { createError } from '../utils/error.js';
+
+export const normalizePhone = (phone) => String(phone).trim().replace(/[\s\-()]/g, '');
+
+export const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Keyed hash, so a leaked collection can't be brute-forced without the server secret
+const hashCode = (destination, code) =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${destination}:${code}`).digest('hex');
+
+const generateCode = () =>
+    crypto.randomInt(0, 10 ** otpConfig.length).toString().padStart(otpConfig.length, '0');
+
+// Issue a code to a phone number or email address, enforcing the resend cooldown and hourly limit.
+// With deliver=false the request is recorded but nothing is sent, so callers can answer the same
+// way (and hit the same limits) whether or not an account exists for the destination.
+export const requestOtp = async ({ channel, destination, purpose = 'login', deliver = true }) => {
+    const recent = await Otp.find({
+        destination,
+        purpose,
+        createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 }).select('createdAt');
+
+    if (recent.length >= otpConfig.maxRequestsPerHour) {
+        throw createError(429, 'Too many codes requested. Please try again later.');
+    }
+
+    const waitSeconds = recent.length
+        ? Math.ceil(otpConfig.resendCooldownSeconds - (Date.now() - recent[0].createdAt) / 1000)
+        : 0;
+    if (waitSeconds > 0) {
+        throw createError(429, `Please wait ${waitSeconds} seconds before requesting another code.`);
+    }
+
+    // A new code replaces any earlier one that is still outstanding
+    await Otp.updateMany(
+        { destination, purpose, consumedAt: { $exists: false } },
+        { $set: { consumedAt: new Date() } }
+    );
+
+    const code = generateCode();
+    await Otp.create({
+        channel,
+        destination,
+        purpose,
+        codeHash: hashCode(destination, code),
+        expiresAt: new Date(Date.now() + otpConfig.ttlMinutes * 60 * 1000)
+    });
+
+    if (!deliver) return;
+
+    // Not awaited: the response time shouldn't reveal whether a code was sent
+    const label = purpose === 'order_lookup' ? 'order lookup code' : 'login code';
+    const send = channel === 'sms'
+        ? sendSms(destination, `${code} is your Sheshri ${label}. It expires in ${otpConfig.ttlMinutes} minutes. Do not share it with anyone.`)
+        : sendOtpEmail(destination, code, purpose);
+    send.catch((error) => console.error(`OTP delivery to ${destination} failed:`, error));
+};
+
+// Check a code. Every guess counts as an attempt (claimed atomically, so parallel guesses
+// can't get past the limit) and a correct code is consumed. Returns true when it matched.
+export const verifyOtp = async ({ destination, purpose = 'login', code }) => {
+    const otp = await Otp.findOneAndUpdate(
+        {
+            destination,
+            purpose,
+            consumedAt: { $exists: false },
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: otpConfig.maxAttempts }
+        },
+        { $inc: { attempts: 1 } },
+        { new: true, sort: { createdAt: -1 } }
+    );
+    if (!otp) return false;
+
+    const expected = Buffer.from(otp.codeHash);
+    const received = Buffer.from(hashCode(destination, String(code)));
+    if (!crypto.timingSafeEqual(expected, received)) return false;
+
+    const consumed = await Otp.findOneAndUpdate(
+        { _id: otp._id, consumedAt: { $exists: false } },
+        { $set: { consumedAt: new Date() } }
+    );
+    return Boolean(consumed);
+};
@@ -0,0 +1,28 @@
+import Order from '../models/Order.js';
+
+// The payment ledger on each order (Order.paymentLedger) is append-only: entries are
+// pushed here and never edited or removed, so it stays a trustworthy payment history.
+
+const ledgerEntry = (entry) => ({ ...entry, createdAt: new Date() });
+
+// Add an entry to an order document that is about to be saved
+export const addLedgerEntry = (order, entry) => {
+    order.paymentLedger.push(ledgerEntry(entry));
+};
+
+// Add an entry to an order without loading it
+export const appendLedgerEntry = (orderId, entry, { session } = {}) => {
+    return Order.updateOne({ _id: orderId }, { $push: { paymentLedger: ledgerEntry(entry) } }, { session });
+};
+
+// Ledger entry for a refund the gateway has processed
+export const refundLedgerEntry = (refund) => ({
+    kind: 'refund',
+    source: 'gateway',
+    gateway: refund.gateway,
+    amount: refund.amount,
+    reference: refund.gatewayRefundId,
+    note: refund.reason,
+    recordedBy: refund.initiatedBy,
+    receivedAt: refund.processedAt
+});
@@ -0,0 +1,156 @@
+import Product from '../models/Product.js';
+import { pricingConfig } from '../config/pricing.js';
+import { createError } from '../utils/error.js';
+import { findUsableCoupon, calculateDiscount } from './couponService.js';
+import { quoteShipping } from './shippingService.js';
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Per-unit surcharge for the stitching and saree add-on options of a line
+const getSurcharge = (item) => {
+    const { surcharges } = pricingConfig;
+    let surcharge = 0;
+
+    if (item.stitchingDetails?.option === 'Stitched') {
+        surcharge += surcharges.stitching;
+        if (item.stitchingDetails.padding === 'Yes') surcharge += surcharges.padding;
+    }
+    if (item.sareeAddOns?.preDrape) surcharge += surcharges.preDrape;
+    if (item.sareeAddOns?.petticoat) surcharge += surcharges.petticoat;
+
+    return surcharge;
+};
+
+// The variant a line is for: by ID, or by size/colour for clients that only send those
+const findVariant = (product, item) => {
+    if (item.variant) return product.variants.id(item.variant);
+
+    const matches = product.variants.filter((variant) =>
+        (!item.size || variant.size === item.size) && (!item.color || variant.color === item.color)
+    );
+    return matches.length === 1 ? matches[0] : null;
+};
+
+// Resolve an order line against the catalogue (main product, product variant or add-on item)
+const resolveLine = async (item) => {
+    const product = await Product.findById(item.product);
+    if (product && product.variants.length > 0) {
+        const variant = findVariant(product, item);
+        if (!variant) {
+            throw createError(400, `Please choose an available size and colour for: ${product.name}`);
+        }
+        return {
+            name: product.name,
+            image: variant.images[0] || product.images[0],
+            basePrice: variant.price ?? product.price,
+            productId: product._id,
+            category: product.category,
+            weight: product.weight,
+            variant,
+            available: product.inStock ? variant.countInStock : 0,
+        };
+    }
+    if (product) {
+        return {
+            name: product.name,
+            image: product.images[0],
+            basePrice: product.price,
+            productId: product._id,
+            category: product.category,
+            weight: product.weight,
+            available: product.inStock ? product.countInStock : 0,
+        };
+    }
+
+    const parent = await Product.findOne({ 'addOnItems._id': item.product });
+    const addOnItem = parent?.addOnItems.id(item.product);
+    if (addOnItem) {
+        // Add-ons fall under the coupon scope of the product they belong to
+        return {
+            name: addOnItem.name,
+            image: addOnItem.images[0] || parent.images[0],
+            basePrice: addOnItem.price,
+            productId: parent._id,
+            category: parent.category,
+            available: addOnItem.inStock ? addOnItem.countInStock : 0,
+        };
+    }
+
+    throw createError(404, `Product not found: ${item.name || item.product}`);
+};
+
+// Price one line from the catalogue (unit price including surcharges).
+// available is the stock that can still be ordered for the line; weight is per unit, in grams.
+export const priceLine = async (item) => {
+    const line = await resolveLine(item);
+    return {
+        name: line.name,
+        image: line.image,
+        price: roundPrice(line.basePrice + getSurcharge(item)),
+        product: item.product,
+        variant: line.variant?._id,
+        sku: line.variant?.sku,
+        size: line.variant ? line.variant.size : item.size,
+        color: line.variant ? line.variant.color : item.color,
+        stitchingDetails: item.stitchingDetails,
+        sareeAddOns: item.sareeAddOns,
+        productId: line.productId,
+        category: line.category,
+        weight: line.weight ?? pricingConfig.defaultItemWeight,
+        available: line.available,
+    };
+};
+
+// Price a cart from the catalogue. Client-sent prices are ignored.
+// Pass a couponCode (and the userId, to enforce per-user limits) to apply a discount,
+// and the shippingAddress for the shipping rules of its PIN code (services/shippingService.js).
+export const quoteOrder = async (orderItems, { couponCode, userId, shippingAddress } = {}) => {
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
+        throw createError(400, 'No order items');
+    }
+
+    const pricedItems = [];
+    const couponLines = [];
+    let weight = 0;
+    for (const item of orderItems) {
+        const qty = Number(item.qty);
+        if (!Number.isInteger(qty) || qty < 1) {
+            throw createError(400, `Invalid quantity for product: ${item.name || item.product}`);
+        }
+
+        const { productId, category, available, weight: unitWeight, ...orderLine } = await priceLine(item);
+        pricedItems.push({ ...orderLine, qty });
+        weight += unitWeight * qty;
+        couponLines.push({ productId, category, price: orderLine.price, qty });
+    }
+
+    const itemsPrice = roundPrice(pricedItems.reduce((sum, item) => sum + item.price * item.qty, 0));
+
+    let coupon;
+    let discountPrice = 0;
+    if (couponCode) {
+        const found = await findUsableCoupon(couponCode, userId);
+        discountPrice = calculateDiscount(found, couponLines, itemsPrice);
+        coupon = { coupon: found._id, code: found.code, discount: discountPrice };
+    }
+
+    // Tax and shipping are charged on the discounted amount
+    const discountedPrice = roundPrice(itemsPrice - discountPrice);
+    const taxPrice = roundPrice(discountedPrice * pricingConfig.taxRate);
+    const { shippingPrice, shipping } = await quoteShipping(shippingAddress, { itemsPrice: discountedPrice, weight });
+    const totalPrice = roundPrice(discountedPrice + taxPrice + shippingPrice);
+
+    return { orderItems: pricedItems, itemsPrice, discountPrice, taxPrice, shippingPrice, totalPrice, coupon, shipping };
+};
+
+// Reject a checkout whose client-side totals disagree with the server quote
+export const assertTotalsMatch = (quote, clientTotals) => {
+    for (const field of ['itemsPrice', 'discountPrice', 'taxPrice', 'shippingPrice', 'totalPrice']) {
+        const clientValue = clientTotals[field];
+        if (clientValue === undefined || clientValue === null) continue;
+
+        if (!(Math.abs(Number(clientValue) - quote[field]) <= pricingConfig.tolerance)) {
+            throw createError(409, 'Order prices have changed. Please review your cart and try again.');
+        }
+    }
+};
@@ -0,0 +1,130 @@
+import Product from '../models/Product.js';
+
+// Sort options for the storefront search. _id breaks ties so pages don't overlap.
+// 'relevance' needs a search term and falls back to newest without one.
+export const PRODUCT_SORTS = {
+    relevance: { score: -1, createdAt: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    price_low: { price: 1, _id: 1 },
+    price_high: { price: -1, _id: -1 },
+    best_selling: { soldCount: -1, _id: -1 },
+    rating: { averageRating: -1, reviewCount: -1, _id: -1 }
+};
+
+// Lower bounds of the price facet buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 1000, 2500, 5000, 10000, 25000];
+
+const LIST_FIELDS = {
+    name: 1, price: 1, originalPrice: 1, images: 1, category: 1, subcategory: 1,
+    sizes: 1, color: 1, fabric: 1, inStock: 1, countInStock: 1,
+    averageRating: 1, reviewCount: 1, soldCount: 1, createdAt: 1
+};
+
+const IN_STOCK = { inStock: true, countInStock: { $gt: 0 } };
+
+// One filter per facet, so each facet's counts can ignore its own selection
+// (picking "Silk" still shows how many Cotton products there are)
+const facetFilters = (query) => {
+    const filters = {};
+
+    if (query.category?.length) filters.category = { category: { $in: query.category } };
+    if (query.fabric?.length) filters.fabric = { fabric: { $in: query.fabric } };
+    if (query.color?.length) filters.color = { color: { $in: query.color } };
+    if (query.size?.length) filters.size = { sizes: { $in: query.size } };
+    if (query.inStock) filters.inStock = IN_STOCK;
+
+    if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+        const price = {};
+        if (query.minPrice !== undefined) price.$gte = query.minPrice;
+        if (query.maxPrice !== undefined) price.$lte = query.maxPrice;
+        filters.price = { price };
+    }
+
+    return filters;
+};
+
+const matchExcept = (filters, facet) => {
+    const conditions = Object.entries(filters)
+        .filter(([name]) => name !== facet)
+        .map(([, condition]) => condition);
+    return { $match: conditions.length ? { $and: conditions } : {} };
+};
+
+const countBy = (field) => [
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Search the catalogue. Query parameters are validated by productSearchQuerySchema
+// (validations/product.validation.js). Returns the page of products, the total
+// count and facet counts for the filters in the storefront sidebar.
+export const searchProducts = async (query) => {
+    const page = query.page || 1;
+    const limit = query.limit || 24;
+    const hasText = Boolean(query.q);
+    const sort = PRODUCT_SORTS[query.sort] && (query.sort !== 'relevance' || hasText)
+        ? PRODUCT_SORTS[query.sort]
+        : PRODUCT_SORTS[hasText ? 'relevance' : 'newest'];
+
+    const filters = facetFilters(query);
+    const all = matchExcept(filters, null);
+
+    // $text must be the first stage; it uses the text index on Product
+    const pipeline = [{ $match: hasText ? { $text: { $search: query.q } } : {} }];
+    if (hasText) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+
+    pipeline.push({
+        $facet: {
+            products: [all, { $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit }, { $project: { ...LIST_FIELDS, ...(hasText && { score: 1 }) } }],
+            total: [all, { $count: 'count' }],
+            category: [matchExcept(filters, 'category'), ...countBy('category')],
+            fabric: [matchExcept(filters, 'fabric'), ...countBy('fabric')],
+            color: [matchExcept(filters, 'color'), ...countBy('color')],
+            size: [matchExcept(filters, 'size'), { $unwind: '$sizes' }, ...countBy('sizes')],
+            price: [
+                matchExcept(filters, 'price'),
+                {
+                    $bucket: {
+                        groupBy: '$price',
+                        boundaries: [...PRICE_BUCKETS, Infinity],
+                        default: 'other',
+                        output: { count: { $sum: 1 } }
+                    }
+                }
+            ],
+            priceRange: [
+                matchExcept(filters, 'price'),
+                { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+            ],
+            inStock: [matchExcept(filters, 'inStock'), { $match: IN_STOCK }, { $count: 'count' }]
+        }
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
+
+    return {
+        products: result.products,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        facets: {
+            category: result.category,
+            fabric: result.fabric,
+            color: result.color,
+            size: result.size,
+            price: result.price
+                .filter((bucket) => bucket._id !== 'other')
+                .map((bucket) => {
+                    const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(bucket._id) + 1];
+                    return { min: bucket._id, max: next ?? null, count: bucket.count };
+                }),
+            priceRange: result.priceRange[0]
+                ? { min: result.priceRange[0].min, max: result.priceRange[0].max }
+                : null,
+            inStock: result.inStock[0]?.count || 0
+        }
+    };
+};
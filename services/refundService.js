@@ -0,0 +1,176 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import Refund from '../models/Refund.js';
+import { getGateway, toOrderCurrency, fromOrderCurrency } from './gateways/index.js';
+import { createRefundNotification } from './notificationService.js';
+import { appendLedgerEntry, refundLedgerEntry } from './paymentLedger.js';
+import { createError } from '../utils/error.js';
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Gateway that captured the order's payment, or null for offline (e.g. COD) payments
+export const getPaymentGateway = (order) => {
+    const paymentId = order.paymentResult?.id;
+    if (!order.isPaid || !paymentId) return null;
+    // Orders paid before paymentGateway was recorded were Razorpay or mock payments
+    return order.paymentGateway || (paymentId.startsWith('mock_') ? 'mock' : 'razorpay');
+};
+
+// Recompute paymentResult.status from the order's refunds
+const syncRefundStatus = async (orderId) => {
+    const order = await Order.findById(orderId);
+    const hasPending = await Refund.exists({ order: orderId, status: 'pending' });
+
+    let status;
+    if (hasPending) status = 'refund_pending';
+    else if (order.refundedAmount >= order.totalPrice) status = 'refunded';
+    else if (order.refundedAmount > 0) status = 'partially_refunded';
+    else status = 'refund_failed';
+
+    order.paymentResult = { ...order.paymentResult, status, update_time: Date.now() };
+    return order.save();
+};
+
+// Refund an order through the gateway that took the payment. Omit amount for a full refund
+// of whatever hasn't been refunded yet. Gateway failures are recorded on the Refund
+// (status 'failed') rather than thrown, so the caller's cancellation/return still goes through.
+export const issueRefund = async (order, { amount, reason, initiatedBy } = {}) => {
+    const gateway = getPaymentGateway(order);
+    if (!gateway) {
+        throw createError(400, 'This order was not paid through a payment gateway; refund it manually');
+    }
+
+    const refundable = roundPrice(order.totalPrice - (order.refundedAmount || 0));
+    const refundAmount = amount === undefined || amount === null || amount === ''
+        ? refundable
+        : roundPrice(Number(amount));
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+        throw createError(400, `Refund amount must be more than ₹0 and at most ₹${refundable}`);
+    }
+
+    // Claim the amount on the order first so concurrent refunds can never exceed what was paid
+    const claimed = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, refundAmount] }, '$totalPrice'] }
+        },
+        { $inc: { refundedAmount: refundAmount } }
+    );
+    if (!claimed) {
+        throw createError(409, 'Refund exceeds the amount paid for this order');
+    }
+
+    const refund = await Refund.create({
+        order: order._id,
+        paymentId: order.paymentResult.id,
+        gateway,
+        amount: refundAmount,
+        reason,
+        initiatedBy
+    });
+
+    try {
+        // Refund amounts are kept in the catalogue currency; the gateway charged the order currency
+        const gatewayRefund = await getGateway(gateway).refund(
+            order.paymentResult.id,
+            toOrderCurrency(refundAmount, order.exchangeRate),
+            { orderId: order._id.toString(), refundId: refund._id.toString() }
+        );
+
+        refund.gatewayRefundId = gatewayRefund.id;
+        if (gatewayRefund.status === 'processed') {
+            refund.status = 'processed';
+            refund.processedAt = new Date();
+        }
+    } catch (error) {
+        refund.status = 'failed';
+        refund.failureReason = error.message;
+        await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refundAmount } });
+    }
+
+    await refund.save();
+    if (refund.status === 'processed') {
+        await appendLedgerEntry(order._id, refundLedgerEntry(refund));
+    }
+
+    // Keep the caller's document in sync with what was written
+    const updatedOrder = await syncRefundStatus(order._id);
+    order.refundedAmount = updatedOrder.refundedAmount;
+    order.paymentResult = updatedOrder.paymentResult;
+
+    await createRefundNotification(order.user, order, refund);
+
+    return refund;
+};
+
+// Settle a refund from a gateway webhook (refund.processed / refund.failed).
+// Safe to call repeatedly: refunds that are already settled are left alone.
+export const settleRefund = async (gatewayRefundId, status, failureReason) => {
+    const refund = await Refund.findOneAndUpdate(
+        { gatewayRefundId, status: 'pending' },
+        {
+            $set: status === 'processed'
+                ? { status, processedAt: new Date() }
+                : { status, failureReason }
+        },
+        { new: true }
+    );
+    if (!refund) return null;
+
+    if (status === 'failed') {
+        await Order.updateOne({ _id: refund.order }, { $inc: { refundedAmount: -refund.amount } });
+    } else {
+        await appendLedgerEntry(refund.order, refundLedgerEntry(refund));
+    }
+
+    const order = await syncRefundStatus(refund.order);
+    await createRefundNotification(order.user, order, refund);
+
+    return refund;
+};
+
+// Apply a refund webhook (see parseWebhook in services/gateways). Refunds we issued are matched
+// by gateway ID, or by the refundId note we send with the request (the webhook can arrive before
+// our own save). Refunds started elsewhere, e.g. from the gateway dashboard, are recorded against
+// the order they belong to.
+export const applyGatewayRefundEvent = async (gateway, data, status) => {
+    let refund = await Refund.findOne({ gatewayRefundId: data.refundId });
+    if (!refund && mongoose.isValidObjectId(data.localRefundId)) {
+        refund = await Refund.findOneAndUpdate(
+            { _id: data.localRefundId, gatewayRefundId: { $exists: false } },
+            { $set: { gatewayRefundId: data.refundId } },
+            { new: true }
+        );
+    }
+
+    if (refund) {
+        return status === 'pending' ? refund : settleRefund(data.refundId, status, data.reason);
+    }
+
+    const order = await Order.findOne({ 'paymentResult.id': data.paymentId });
+    if (!order) return null;
+
+    const amount = fromOrderCurrency(data.amount, order.exchangeRate);
+    const external = await Refund.create({
+        order: order._id,
+        paymentId: data.paymentId,
+        gateway,
+        gatewayRefundId: data.refundId,
+        amount,
+        reason: 'Refunded from the payment gateway',
+        status,
+        processedAt: status === 'processed' ? new Date() : undefined
+    });
+
+    if (external.status !== 'failed') {
+        await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: amount } });
+    }
+    if (external.status === 'processed') {
+        await appendLedgerEntry(order._id, refundLedgerEntry(external));
+    }
+    const updatedOrder = await syncRefundStatus(order._id);
+    await createRefundNotification(updatedOrder.user, updatedOrder, external);
+
+    return external;
+};
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import { paymentConfig } from '../config/payment.js';
+import { releaseOrderStock } from './inventoryService.js';
+import { releaseCouponRedemption } from './couponService.js';
+import { emitOrderUpdate } from './notificationService.js';
+import { applyStatus } from './orderStatus.js';
+
+// Release the stock held by unpaid online orders whose hold has expired.
+// The order is kept and marked 'expired' rather than deleted.
+export const releaseExpiredReservations = async () => {
+    const now = new Date();
+    const expiredFilter = { isPaid: false, trackingStatus: 'pending', reservationExpiresAt: { $lte: now } };
+
+    const expiredOrders = await Order.find({ ...expiredFilter, stockReleased: { $ne: true } }).select('_id');
+
+    let released = 0;
+    for (const { _id } of expiredOrders) {
+        try {
+            // The callback can run more than once if the transaction is retried, so the
+            // update is only counted and pushed to clients after it has committed
+            let expiredOrder = null;
+            await mongoose.connection.transaction(async (session) => {
+                expiredOrder = null;
+                // Claim fails harmlessly if the order was paid, abandoned or cancelled meanwhile
+                const order = await releaseOrderStock(_id, session, expiredFilter);
+                if (!order) return;
+                await releaseCouponRedemption(order, session);
+
+                applyStatus(order, 'expired', {
+                    message: 'Payment not received in time. Reserved stock released.',
+                    location: 'Online'
+                });
+                await order.save({ session });
+                expiredOrder = order;
+            });
+
+            if (expiredOrder) {
+                released++;
+                emitOrderUpdate(expiredOrder);
+            }
+        } catch (error) {
+            console.error(`Failed to release reservation for order ${_id}:`, error);
+        }
+    }
+
+    return released;
+};
+
+// Run the sweeper periodically. Skips a tick while MongoDB is not connected.
+export const startReservationSweeper = () => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running || mongoose.connection.readyState !== 1) return;
+
+        running = true;
+        try {
+            const released = await releaseExpiredReservations();
+            if (released > 0) console.log(`⏳ Released stock for ${released} expired order(s)`);
+        } catch (error) {
+            console.error('Reservation sweeper error:', error);
+        } finally {
+            running = false;
+        }
+    }, paymentConfig.reservationSweepIntervalMs);
+
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,121 @@
+import ShippingZone from '../models/ShippingZone.js';
+import { pricingConfig } from '../config/pricing.js';
+import { createError } from '../utils/error.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const normalizePin = (pin) => String(pin || '').replace(/\s/g, '');
+const normalizeState = (state) => String(state || '').trim().toLowerCase();
+
+// Terms used while no shipping zones are set up: the flat rate from config/pricing.js,
+// delivery everywhere and no estimate
+const defaultTerms = () => ({
+    name: null,
+    isServiceable: true,
+    rateType: 'flat',
+    flatRate: pricingConfig.shippingFlatRate,
+    rateSlabs: [],
+    freeShippingThreshold: pricingConfig.freeShippingThreshold || undefined,
+    codAvailable: true,
+    deliveryDays: null,
+});
+
+// How specifically a zone covers an address; 0 when it doesn't
+const matchScore = (zone, pin, state) => {
+    if (zone.pinCodes.includes(pin)) return 100;
+
+    const prefix = zone.pinPrefixes
+        .filter((candidate) => pin.startsWith(candidate))
+        .reduce((longest, candidate) => Math.max(longest, candidate.length), 0);
+    if (prefix) return 10 + prefix;
+
+    if (state && zone.states.some((zoneState) => normalizeState(zoneState) === state)) return 2;
+
+    const listsNothing = !zone.pinCodes.length && !zone.pinPrefixes.length && !zone.states.length;
+    return listsNothing ? 1 : 0;
+};
+
+// The shipping terms for an address ({ postalCode, state }): its most specific
+// active zone, ties going to the older zone. Null when zones are set up but none
+// covers the address.
+export const findShippingZone = async ({ postalCode, state } = {}) => {
+    const zones = await ShippingZone.find({ isActive: true }).sort({ createdAt: 1 }).lean();
+    if (zones.length === 0) return defaultTerms();
+
+    const pin = normalizePin(postalCode);
+    const normalizedState = normalizeState(state);
+
+    let best = null;
+    let bestScore = 0;
+    for (const zone of zones) {
+        const score = matchScore(zone, pin, normalizedState);
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+// Shipping charge for an order of itemsPrice rupees weighing weight grams
+export const calculateShipping = (zone, { itemsPrice, weight }) => {
+    if (zone.freeShippingThreshold > 0 && itemsPrice >= zone.freeShippingThreshold) return 0;
+    if (zone.rateType === 'flat') return roundPrice(zone.flatRate);
+
+    const measure = zone.rateType === 'weight' ? weight : itemsPrice;
+    const slabs = [...zone.rateSlabs].sort((a, b) => a.upTo - b.upTo);
+    if (slabs.length === 0) return 0;
+
+    const slab = slabs.find((candidate) => measure <= candidate.upTo) || slabs[slabs.length - 1];
+    return roundPrice(slab.price);
+};
+
+// Latest expected delivery date for an order placed at `from`, or undefined without an estimate
+export const estimateDelivery = (zone, from = new Date()) => {
+    if (!zone.deliveryDays) return undefined;
+    return new Date(from.getTime() + zone.deliveryDays.max * DAY_MS);
+};
+
+// Shipping for a quote. Without an address the default terms give an estimate;
+// an address nobody delivers to is refused.
+export const quoteShipping = async (address, { itemsPrice, weight }) => {
+    const zone = address?.postalCode ? await findShippingZone(address) : defaultTerms();
+    if (!zone || !zone.isServiceable) {
+        throw createError(400, `Sorry, we don't deliver to PIN code ${normalizePin(address.postalCode)} yet`);
+    }
+
+    return {
+        shippingPrice: calculateShipping(zone, { itemsPrice, weight }),
+        shipping: {
+            zone: zone.name,
+            codAvailable: zone.codAvailable,
+            deliveryDays: zone.deliveryDays,
+            estimatedDelivery: estimateDelivery(zone),
+        },
+    };
+};
+
+// What the storefront shows for a PIN code before checkout
+export const checkServiceability = async ({ pin, state }) => {
+    const zone = await findShippingZone({ postalCode: pin, state });
+    if (!zone || !zone.isServiceable) {
+        return { pin, serviceable: false };
+    }
+
+    return {
+        pin,
+        serviceable: true,
+        zone: zone.name,
+        codAvailable: zone.codAvailable,
+        deliveryDays: zone.deliveryDays,
+        estimatedDelivery: estimateDelivery(zone),
+        rates: {
+            rateType: zone.rateType,
+            flatRate: zone.rateType === 'flat' ? zone.flatRate : undefined,
+            rateSlabs: zone.rateType === 'flat' ? undefined : zone.rateSlabs,
+            freeShippingThreshold: zone.freeShippingThreshold,
+        },
+    };
+};
@@ -0,0 +1,21 @@
+import { otpConfig } from '../config/otp.js';
+
+// Each provider takes { to, body } and delivers the text message
+const providers = {
+    console: async ({ to, body }) => {
+        console.log(`📱 SMS to ${to}: ${body}`);
+    }
+};
+
+// Register a real provider (MSG91, Twilio, ...) under a name usable in SMS_PROVIDER
+export const registerSmsProvider = (name, send) => {
+    providers[name] = send;
+};
+
+export const sendSms = async (to, body) => {
+    const send = providers[otpConfig.smsProvider];
+    if (!send) {
+        throw new Error(`Unknown SMS provider: ${otpConfig.smsProvider}`);
+    }
+    await send({ to, body });
+};
@@ -0,0 +1,60 @@
+import { verifyAccessToken } from './tokenService.js';
+import { ROLE_PERMISSIONS } from '../config/permissions.js';
+
+// Room names
+const userRoom = (userId) => `user:${userId}`;
+const staffRoom = (permission) => `staff:${permission}`;
+
+let io = null;
+
+// Attach JWT authentication and room membership to the Socket.IO server.
+// Clients connect with `io(url, { auth: { token } })` (or an Authorization: Bearer header).
+export const initSocket = (socketServer) => {
+    io = socketServer;
+
+    io.use((socket, next) => {
+        const authHeader = socket.handshake.headers?.authorization;
+        const token = socket.handshake.auth?.token ||
+            (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+        if (!token) {
+            return next(new Error('You are not authenticated!'));
+        }
+
+        verifyAccessToken(token)
+            .then((user) => {
+                socket.user = user;
+                next();
+            })
+            .catch((err) => next(new Error(err.message)));
+    });
+
+    io.on('connection', (socket) => {
+        socket.join(userRoom(socket.user.id));
+
+        // One room per permission, so e.g. order events only reach staff who handle orders
+        for (const permission of ROLE_PERMISSIONS[socket.user.role] || []) {
+            socket.join(staffRoom(permission));
+        }
+    });
+
+    return io;
+};
+
+// Emit to every open connection of a user. No-op until the socket server is initialised.
+export const emitToUser = (userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userRoom(userId.toString())).emit(event, payload);
+};
+
+// Emit to every connected staff member whose role grants the permission
+export const emitToStaff = (permission, event, payload) => {
+    if (!io) return;
+    io.to(staffRoom(permission)).emit(event, payload);
+};
+
+// Close every open connection of a user, e.g. after their sessions were revoked
+export const disconnectUser = (userId) => {
+    if (!io || !userId) return;
+    io.in(userRoom(userId.toString())).disconnectSockets(true);
+};
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { authConfig } from '../config/auth.js';
+import { createError } from '../utils/error.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// tv is the user's tokenVersion; access tokens from before a bump are rejected
+export const signAccessToken = (user) =>
+    jwt.sign(
+        { id: user._id, role: user.role, tv: user.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: authConfig.accessTokenTtl }
+    );
+
+// Verify an access token and check it against the user's current session state.
+// Returns the payload with the role as currently stored, so a demotion applies straight away.
+export const verifyAccessToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            throw createError(401, 'Access token has expired');
+        }
+        throw createError(403, 'Token is not valid!');
+    }
+    // Guest order tokens are signed with the same secret but name no user
+    if (!payload.id) {
+        throw createError(403, 'Token is not valid!');
+    }
+
+    const user = await User.findById(payload.id).select('role tokenVersion');
+    if (!user || (payload.tv || 0) !== (user.tokenVersion || 0)) {
+        throw createError(401, 'Your session has ended. Please log in again.');
+    }
+
+    return { ...payload, id: user._id.toString(), role: user.role };
+};
+
+// Guest orders are opened with a signed token for that one order (tracking link, payment).
+// It carries no user, so it can't be used as an access token.
+export const signOrderAccessToken = (orderId) =>
+    jwt.sign(
+        { order: orderId.toString(), scope: 'guest_order' },
+        process.env.JWT_SECRET,
+        { expiresIn: `${authConfig.guestOrderTokenDays}d` }
+    );
+
+// Returns the order ID the token was issued for
+export const verifyOrderAccessToken = (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            throw createError(401, 'This order link has expired. Please look up your order again.');
+        }
+        throw createError(403, 'Order link is not valid!');
+    }
+    if (payload.scope !== 'guest_order') {
+        throw createError(403, 'Order link is not valid!');
+    }
+    return payload.order;
+};
+
+// Issue an access token and a new refresh token (optionally continuing an existing family)
+export const issueSession = async (user, req, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        family,
+        tokenVersion: user.tokenVersion || 0,
+        expiresAt: new Date(Date.now() + authConfig.refreshTokenDays * 24 * 60 * 60 * 1000),
+        userAgent: req?.headers?.['user-agent'],
+        ip: req?.ip
+    });
+
+    return { token: signAccessToken(user), refreshToken };
+};
+
+// Exchange a refresh token for a new session. The presented token is revoked atomically,
+// so two concurrent refreshes with the same token can't both succeed.
+export const rotateRefreshToken = async (refreshToken, req) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        throw createError(400, 'Refresh token is required');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+        { $set: { revokedAt: now } },
+        { new: true }
+    );
+
+    if (!current) {
+        // A token that was already rotated is being replayed: assume it was stolen
+        // and end every session descended from the same login
+        const reused = await RefreshToken.findOne({ tokenHash, replacedBy: { $exists: true } });
+        if (reused) {
+            await RefreshToken.updateMany(
+                { family: reused.family, revokedAt: { $exists: false } },
+                { $set: { revokedAt: now } }
+            );
+        }
+        throw createError(401, 'Refresh token is invalid or has expired');
+    }
+
+    const user = await User.findById(current.user);
+    if (!user || (user.tokenVersion || 0) !== current.tokenVersion) {
+        throw createError(401, 'Your session has ended. Please log in again.');
+    }
+
+    const session = await issueSession(user, req, current.family);
+    await RefreshToken.updateOne({ _id: current._id }, { $set: { replacedBy: hashToken(session.refreshToken) } });
+
+    return { ...session, user };
+};
+
+// Log out one device
+export const revokeRefreshToken = async (refreshToken) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) return;
+    await RefreshToken.updateOne(
+        { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+// Log out every device: outstanding access tokens fail the tokenVersion check
+// and all refresh tokens are revoked
+export const revokeAllSessions = async (userId) => {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date() } }
+    );
+};
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { markOrderPaid, recordPaymentFailure } from './orderPaymentService.js';
+import { applyGatewayRefundEvent } from './refundService.js';
+import { pushNotification, emitOrderUpdate, findStaff } from './notificationService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+
+// A 'processing' event older than this is assumed to have crashed and may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Record the event, or claim a failed/stale earlier attempt of it.
+// Returns null when the event was already handled (or is being handled right now).
+export const claimWebhookEvent = async (gateway, eventId, event, body) => {
+    try {
+        return await WebhookEvent.create({ eventId, gateway, event, payload: body });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    return WebhookEvent.findOneAndUpdate(
+        {
+            eventId,
+            gateway,
+            $or: [
+                { status: 'failed' },
+                { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+            ]
+        },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+};
+
+const notifyAdmins = async (order, title, message) => {
+    const admins = await findStaff(PERMISSIONS.ORDERS);
+    for (const admin of admins) {
+        if (admin.notificationPreferences?.orderAlerts !== false) {
+            await pushNotification({
+                user: admin._id,
+                title,
+                message,
+                type: 'payment',
+                link: `/admin/order/${order._id}`,
+                relatedOrder: order._id
+            });
+        }
+    }
+};
+
+// Gateways carry our order ID in the payment's notes/metadata (see createPaymentOrder)
+const findOrderId = async ({ orderId, paymentId }) => {
+    if (orderId) return mongoose.isValidObjectId(orderId) ? orderId : null;
+
+    const order = await Order.findOne({ 'paymentResult.id': paymentId }).select('_id');
+    return order?._id;
+};
+
+const handlePaymentSucceeded = async (gateway, data) => {
+    const orderId = await findOrderId(data);
+    if (!orderId) return false;
+
+    const result = await markOrderPaid(orderId, {
+        gateway,
+        paymentId: data.paymentId,
+        gatewayOrderId: data.gatewayOrderId,
+        method: data.method,
+        email: data.email
+    }, { message: 'Order confirmed via Webhook', confirm: true });
+
+    // Failing the event makes the gateway redeliver it, which retries the refund
+    if (result.orderMissing && !result.refunded) {
+        throw new Error(`Order ${orderId} no longer exists and payment ${data.paymentId} could not be refunded`);
+    }
+
+    return true;
+};
+
+const handlePaymentFailed = async (gateway, data) => {
+    const orderId = await findOrderId(data);
+    if (!orderId) return false;
+
+    await recordPaymentFailure(orderId, data.reason);
+    return true;
+};
+
+const handleDispute = async (gateway, data) => {
+    const order = await Order.findOne({ 'paymentResult.id': data.paymentId });
+    if (!order) return false;
+
+    order.dispute = {
+        id: data.id,
+        status: data.status,
+        amount: data.amount,
+        reason: data.reason,
+        updatedAt: new Date()
+    };
+    await order.save();
+    emitOrderUpdate(order);
+
+    await notifyAdmins(
+        order,
+        'Payment Dispute Update',
+        `Dispute ${order.dispute.status} on order #${order._id.toString().slice(-8)} for ${data.currency || 'INR'} ${order.dispute.amount}.`
+    );
+    return true;
+};
+
+const handlers = {
+    'payment.succeeded': handlePaymentSucceeded,
+    'payment.failed': handlePaymentFailed,
+    'refund.pending': (gateway, data) => applyGatewayRefundEvent(gateway, data, 'pending'),
+    'refund.processed': (gateway, data) => applyGatewayRefundEvent(gateway, data, 'processed'),
+    'refund.failed': (gateway, data) => applyGatewayRefundEvent(gateway, data, 'failed'),
+    'dispute.updated': handleDispute
+};
+
+// Run the handler for a parsed gateway event. Returns false for events we don't act on.
+export const processGatewayEvent = async (gateway, { type, data }) => {
+    const handler = handlers[type];
+    if (!handler) return false;
+
+    const result = await handler(gateway, data);
+    return Boolean(result);
+};
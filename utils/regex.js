@@ -0,0 +1,2 @@
+// Escape user input for use inside a RegExp / MongoDB $regex, so it is matched literally
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
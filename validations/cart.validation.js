@@ -0,0 +1,64 @@
+// Validation schemas for the shopping cart
+
+import Joi from 'joi';
+import { objectId } from './common.js';
+import {
+  stitchingDetailsSchema,
+  sareeAddOnsSchema,
+  checkoutFields,
+  withShippingAddress,
+  guestContactSchema
+} from './order.validation.js';
+import { cartConfig } from '../config/cart.js';
+
+const qty = Joi.number()
+  .integer()
+  .min(1)
+  .max(cartConfig.maxQty)
+  .messages({
+    'number.base': 'Quantity must be a number',
+    'number.integer': 'Quantity must be a whole number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': `Quantity cannot exceed ${cartConfig.maxQty}`
+  });
+
+/**
+ * Validation schema for adding a line to the cart
+ */
+export const addCartItemSchema = Joi.object({
+  product: objectId()
+    .required()
+    .messages({
+      'any.required': 'Product ID is required'
+    }),
+  variant: objectId().optional(),
+  qty: qty.default(1),
+  size: Joi.string().allow('').optional(),
+  color: Joi.string().allow('').optional(),
+  stitchingDetails: stitchingDetailsSchema.optional(),
+  sareeAddOns: sareeAddOnsSchema.optional()
+});
+
+/**
+ * Validation schema for changing a cart line
+ */
+export const updateCartItemSchema = Joi.object({
+  variant: objectId().optional(),
+  qty: qty.optional(),
+  size: Joi.string().allow('').optional(),
+  color: Joi.string().allow('').optional(),
+  stitchingDetails: stitchingDetailsSchema.optional(),
+  sareeAddOns: sareeAddOnsSchema.optional()
+})
+  .min(1)
+  .messages({
+    'object.min': 'Nothing to update'
+  });
+
+/**
+ * Validation schema for checking out the cart. Guests also send their contact details.
+ */
+export const cartCheckoutSchema = withShippingAddress(Joi.object({
+  ...checkoutFields,
+  guest: guestContactSchema.optional()
+}));
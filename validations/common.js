@@ -0,0 +1,116 @@
+// Building blocks shared by the validation schemas
+
+import Joi from 'joi';
+
+/**
+ * MongoDB ObjectId as a 24 character hex string
+ */
+export const objectId = () => Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({
+    'string.pattern.base': '{{#label}} must be a valid ID'
+  });
+
+/**
+ * Page/limit query parameters
+ */
+export const pagination = (maxLimit = 100) => ({
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(0)
+    .max(maxLimit)
+    .optional()
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.max': `Limit cannot exceed ${maxLimit}`
+    })
+});
+
+/**
+ * Multipart forms send every field as a string and repeated fields as arrays
+ */
+export const stringOrArray = () => Joi.alternatives().try(
+  Joi.array().items(Joi.string().allow('')),
+  Joi.string().allow('')
+);
+
+/**
+ * JSON sent as a string field of a multipart form, or as a real array in JSON bodies
+ */
+export const jsonArray = () => Joi.alternatives().try(Joi.array(), Joi.string());
+
+// Query lists arrive comma separated (?status=pending,shipped); split them before validating the items
+const listJoi = Joi.extend({
+  type: 'list',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map((item) => item.trim()).filter(Boolean) })
+  }
+});
+
+/**
+ * Comma separated list, optionally restricted to the allowed values
+ */
+export const queryList = (values) => {
+  if (!values) return listJoi.list().items(Joi.string().max(100)).max(50);
+
+  return listJoi.list()
+    .items(Joi.string().valid(...values))
+    .messages({
+      'any.only': `{{#label}} must be one of: ${values.join(', ')}`
+    });
+};
+
+// Arrays of objects sent as a JSON string field of a multipart form
+const jsonJoi = Joi.extend({
+  type: 'jsonList',
+  base: Joi.array(),
+  messages: {
+    'jsonList.parse': '{{#label}} must be a JSON array'
+  },
+  coerce: {
+    from: 'string',
+    method: (value, helpers) => {
+      try {
+        return { value: JSON.parse(value) };
+      } catch {
+        return { errors: [helpers.error('jsonList.parse')] };
+      }
+    }
+  }
+});
+
+/**
+ * JSON array (string field of a multipart form, or a real array) whose items match the schema
+ */
+export const jsonArrayOf = (itemSchema) => jsonJoi.jsonList().items(itemSchema);
+
+/**
+ * Indian PIN code: six digits, not starting with 0
+ */
+export const pinCode = () => Joi.string()
+  .trim()
+  .pattern(/^[1-9][0-9]{5}$/)
+  .messages({
+    'string.pattern.base': 'PIN code must be 6 digits'
+  });
+
+/**
+ * Indian mobile number, optionally with +91 or a leading 0; spaces and dashes allowed
+ */
+export const indianPhone = () => Joi.string()
+  .trim()
+  .pattern(/^(?:\+91|0)?[\s-]?[6-9][0-9]{4}[\s-]?[0-9]{5}$/)
+  .messages({
+    'string.pattern.base': 'Please provide a valid 10 digit Indian mobile number'
+  });
@@ -0,0 +1,109 @@
+// Validation schemas for site content: banners, categories, careers and contact messages
+// Banner and category forms are multipart, so numbers and booleans arrive as strings
+
+import Joi from 'joi';
+
+/**
+ * Validation schema for creating or updating a banner
+ */
+export const bannerSchema = Joi.object({
+  link: Joi.string().allow('').optional(),
+  alt: Joi.string().allow('').max(200).optional(),
+  order: Joi.number().integer().allow('').optional(),
+  isActive: Joi.boolean().optional()
+});
+
+/**
+ * Validation schema for creating a category
+ */
+export const createCategorySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Category name is required'
+    })
+});
+
+/**
+ * Validation schema for updating a category
+ */
+export const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().max(100).allow('').optional()
+});
+
+const jobFields = {
+  title: Joi.string().trim().max(150),
+  type: Joi.string().trim().max(50),
+  location: Joi.string().trim().max(150),
+  category: Joi.string().trim().max(100),
+  link: Joi.string().allow('').optional(),
+  isActive: Joi.boolean().optional()
+};
+
+/**
+ * Validation schema for posting a job opening
+ */
+export const createJobSchema = Joi.object({
+  ...jobFields,
+  title: jobFields.title.required().messages({ 'string.empty': 'Job title is required' }),
+  location: jobFields.location.required().messages({ 'string.empty': 'Location is required' }),
+  category: jobFields.category.required().messages({ 'string.empty': 'Category is required' })
+});
+
+/**
+ * Validation schema for editing a job opening
+ */
+export const updateJobSchema = Joi.object(jobFields);
+
+/**
+ * Validation schema for the public contact form
+ */
+export const createMessageSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Name is required',
+      'any.required': 'Name is required'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .email()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Invalid email address format',
+      'any.required': 'Email is required'
+    }),
+
+  subject: Joi.string()
+    .trim()
+    .max(200)
+    .required()
+    .messages({
+      'string.empty': 'Subject is required',
+      'any.required': 'Subject is required'
+    }),
+
+  message: Joi.string()
+    .trim()
+    .max(5000)
+    .required()
+    .messages({
+      'string.empty': 'Message is required',
+      'any.required': 'Message is required'
+    }),
+
+  mobile: Joi.string()
+    .pattern(/^\d{10}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid mobile number format',
+      'string.empty': 'Mobile number is required',
+      'any.required': 'Mobile number is required'
+    })
+});
@@ -0,0 +1,63 @@
+// Validation schemas for coupon administration
+// Cross-field rules (percentage cap, validity window) stay in controllers/coupon.js,
+// since an update is checked against the stored coupon
+
+import Joi from 'joi';
+import { objectId } from './common.js';
+
+// Empty values clear the optional limits ("unlimited")
+const optionalNumber = Joi.number().min(0).allow(null, '');
+
+const couponFields = {
+  code: Joi.string()
+    .trim()
+    .max(30)
+    .messages({
+      'string.empty': 'Coupon code is required',
+      'string.max': 'Coupon code cannot exceed 30 characters'
+    }),
+
+  description: Joi.string().allow('').max(500),
+
+  discountType: Joi.string()
+    .valid('percentage', 'flat')
+    .messages({
+      'any.only': 'Discount type must be percentage or flat'
+    }),
+
+  discountValue: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Discount value must be a number',
+      'number.min': 'Discount value cannot be negative'
+    }),
+
+  maxDiscount: optionalNumber,
+  minCartValue: optionalNumber,
+  applicableCategories: Joi.array().items(Joi.string()),
+  applicableProducts: Joi.array().items(objectId()),
+  usageLimit: optionalNumber.concat(Joi.number().integer()),
+  perUserLimit: optionalNumber.concat(Joi.number().integer()),
+  validFrom: Joi.date().allow(null, ''),
+  validUntil: Joi.date().allow(null, ''),
+  isActive: Joi.boolean()
+};
+
+/**
+ * Validation schema for creating a coupon
+ */
+export const createCouponSchema = Joi.object({
+  ...couponFields,
+  code: couponFields.code.required(),
+  discountType: couponFields.discountType.required(),
+  discountValue: couponFields.discountValue
+    .required()
+    .messages({
+      'any.required': 'Discount value is required'
+    })
+});
+
+/**
+ * Validation schema for updating a coupon
+ */
+export const updateCouponSchema = Joi.object(couponFields);
@@ -1,179 +1,420 @@
 // Validation schemas for order-related operations
 // Uses Joi for input validation to ensure data integrity
+// Shapes follow models/Order.js; prices sent by the client are only compared against
+// the server-side quote (services/pricingService.js), never stored
 
-const Joi = require('joi');
+import Joi from 'joi';
+import { objectId, queryList } from './common.js';
+import { ORDER_STATUSES, MANUAL_STATUSES, normalizeStatus } from '../services/orderStatus.js';
+import { ORDER_SORTS } from '../services/orderSearch.js';
+
+const price = Joi.number()
+  .min(0)
+  .messages({
+    'number.base': '{{#label}} must be a number',
+    'number.min': '{{#label}} cannot be negative'
+  });
 
 /**
- * Validation schema for creating a new order
+ * Stitching and saree options of a line (also used by cart lines)
+ */
+export const stitchingDetailsSchema = Joi.object({
+  option: Joi.string().valid('Unstitched', 'Stitched').optional(),
+  stitchingSize: Joi.string().allow('').optional(),
+  padding: Joi.string().valid('Yes', 'No').optional(),
+  blouseDesign: Joi.string().allow('').optional()
+});
+
+export const sareeAddOnsSchema = Joi.object({
+  preDrape: Joi.boolean().optional(),
+  petticoat: Joi.boolean().optional()
+});
+
+/**
+ * A cart line as sent by the checkout
  */
-const createOrderSchema = Joi.object({
-  items: Joi.array()
-    .items(Joi.object({
-      product: Joi.string()
-        .required()
-        .messages({
-          'string.empty': 'Product ID is required'
-        }),
-
-      quantity: Joi.number()
-        .integer()
-        .min(1)
-        .required()
-        .messages({
-          'number.base': 'Quantity must be a number',
-          'number.min': 'Quantity must be at least 1'
-        }),
-
-      price: Joi.number()
-        .min(0)
-        .required()
-        .messages({
-          'number.base': 'Price must be a number',
-          'number.min': 'Price cannot be negative'
-        }),
-
-      variant: Joi.object({
-        size: Joi.string().optional(),
-        color: Joi.string().optional()
-      }).optional()
-    }))
+const orderItemSchema = Joi.object({
+  product: objectId()
+    .required()
+    .messages({
+      'any.required': 'Product ID is required'
+    }),
+
+  name: Joi.string().allow('').optional(),
+  image: Joi.string().allow('').optional(),
+  price: price.optional(),
+
+  qty: Joi.number()
+    .integer()
     .min(1)
     .required()
     .messages({
-      'array.min': 'Order must contain at least one item'
-    }),
-
-  shippingAddress: Joi.object({
-    street: Joi.string()
-      .required()
-      .messages({
-        'string.empty': 'Street address is required'
-      }),
-
-    city: Joi.string()
-      .required()
-      .messages({
-        'string.empty': 'City is required'
-      }),
-
-    state: Joi.string()
-      .required()
-      .messages({
-        'string.empty': 'State is required'
-      }),
-
-    zipCode: Joi.string()
-      .required()
-      .messages({
-        'string.empty': 'Zip code is required'
-      }),
-
-    country: Joi.string()
-      .required()
-      .messages({
-        'string.empty': 'Country is required'
-      })
-  })
+      'number.base': 'Quantity must be a number',
+      'number.integer': 'Quantity must be a whole number',
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required'
+    }),
+
+  variant: objectId().optional(),
+  size: Joi.string().allow('').optional(),
+  color: Joi.string().allow('').optional(),
+
+  stitchingDetails: stitchingDetailsSchema.optional(),
+  sareeAddOns: sareeAddOnsSchema.optional()
+});
+
+const orderItems = Joi.array()
+  .items(orderItemSchema)
+  .min(1)
   .required()
   .messages({
-    'object.base': 'Shipping address is required'
-  }),
+    'array.min': 'Order must contain at least one item',
+    'any.required': 'Order items are required'
+  });
+
+const shippingAddressSchema = Joi.object({
+  name: Joi.string().allow('').optional(),
+  phone: Joi.string().allow('').optional(),
+
+  address: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Street address is required'
+    }),
+
+  city: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'City is required'
+    }),
+
+  state: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'State is required'
+    }),
+
+  postalCode: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Postal code is required'
+    }),
+
+  country: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Country is required'
+    })
+});
+
+/**
+ * Everything a checkout sends besides the items (also used by the cart checkout).
+ * The address is either sent in full or picked from the address book by ID;
+ * wrap the schema in withShippingAddress() to require exactly one of them.
+ */
+export const checkoutFields = {
+  shippingAddress: shippingAddressSchema.optional(),
+  addressId: objectId().optional(),
 
   paymentMethod: Joi.string()
-    .valid('card', 'paypal', 'razorpay', 'stripe')
+    .max(30)
     .required()
     .messages({
-      'any.only': 'Payment method must be one of: card, paypal, razorpay, stripe'
+      'string.empty': 'Payment method is required'
+    }),
+
+  couponCode: Joi.string().allow('').optional(),
+  currency: Joi.string().length(3).optional(),
+
+  customization: Joi.string()
+    .max(1000)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Customization notes cannot exceed 1000 characters'
     }),
 
-  couponCode: Joi.string()
-    .optional(),
+  // Client-side totals, checked against the server quote
+  itemsPrice: price.optional(),
+  discountPrice: price.optional(),
+  taxPrice: price.optional(),
+  shippingPrice: price.optional(),
+  totalPrice: price.optional()
+};
+
+/**
+ * Validation schema for creating a new order
+ */
+export const withShippingAddress = (schema) => schema
+  .xor('shippingAddress', 'addressId')
+  .messages({
+    'object.missing': 'Shipping address is required',
+    'object.xor': 'Send either a shipping address or a saved address, not both'
+  });
+
+export const createOrderSchema = withShippingAddress(Joi.object({
+  orderItems,
+  ...checkoutFields
+}));
 
-  notes: Joi.string()
-    .max(500)
+/**
+ * Contact details of a guest checkout; at least an email or a phone number
+ */
+export const guestContactSchema = Joi.object({
+  name: Joi.string().trim().max(100).allow('').optional(),
+  email: Joi.string()
+    .trim()
+    .email()
     .optional()
     .messages({
-      'string.max': 'Notes cannot exceed 500 characters'
+      'string.email': 'Please provide a valid email address'
+    }),
+  phone: Joi.string()
+    .pattern(/^\+?[0-9\s\-()]{10,20}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
     })
-});
+})
+  .or('email', 'phone')
+  .messages({
+    'object.missing': 'An email address or phone number is required'
+  });
 
 /**
- * Validation schema for updating order status
+ * Validation schema for checking out without an account
  */
-const updateOrderStatusSchema = Joi.object({
-  status: Joi.string()
-    .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+export const guestOrderSchema = Joi.object({
+  orderItems,
+  guest: guestContactSchema
     .required()
     .messages({
-      'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled'
+      'any.required': 'Contact details are required'
     }),
+  ...checkoutFields,
+  // Guests have no address book
+  shippingAddress: shippingAddressSchema
+    .required()
+    .messages({
+      'any.required': 'Shipping address is required'
+    }),
+  addressId: Joi.forbidden()
+});
 
-  trackingNumber: Joi.string()
-    .when('status', {
-      is: 'shipped',
-      then: Joi.required(),
-      otherwise: Joi.optional()
+// Guests look up their orders by the phone number or email used at checkout
+const lookupContact = {
+  phone: guestContactSchema.extract('phone'),
+  email: guestContactSchema.extract('email')
+};
+
+/**
+ * Validation schema for requesting a guest order lookup code
+ */
+export const orderLookupRequestSchema = Joi.object(lookupContact)
+  .xor('phone', 'email')
+  .messages({
+    'object.missing': 'Phone number or email is required',
+    'object.xor': 'Send either a phone number or an email, not both'
+  });
+
+/**
+ * Validation schema for listing guest orders with a lookup code
+ */
+export const orderLookupVerifySchema = Joi.object({
+  ...lookupContact,
+  code: Joi.string()
+    .pattern(/^[0-9]{4,8}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be numeric',
+      'string.empty': 'Code is required'
     })
+})
+  .xor('phone', 'email')
+  .messages({
+    'object.missing': 'Phone number or email is required',
+    'object.xor': 'Send either a phone number or an email, not both'
+  });
+
+/**
+ * Validation schema for pricing a cart without placing the order.
+ * postalCode (and state) price shipping for that address; without them it is an estimate.
+ */
+export const quoteOrderSchema = Joi.object({
+  orderItems,
+  couponCode: Joi.string().allow('').optional(),
+  currency: Joi.string().length(3).optional(),
+  postalCode: Joi.string().trim().max(12).optional(),
+  state: Joi.string().trim().optional()
+});
+
+/**
+ * Validation schema for recording a payment received outside the gateways (admin)
+ */
+export const offlinePaymentSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .required()
     .messages({
-      'string.empty': 'Tracking number is required when status is shipped'
+      'number.base': 'Amount must be a number',
+      'number.positive': 'Amount must be more than 0',
+      'any.required': 'Amount is required'
     }),
 
-  notes: Joi.string()
-    .max(500)
+  method: Joi.string()
+    .valid('cash', 'upi', 'bank_transfer', 'card', 'cheque', 'other')
+    .required()
+    .messages({
+      'any.only': 'Method must be one of: cash, upi, bank_transfer, card, cheque, other',
+      'any.required': 'Payment method is required'
+    }),
+
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Payment reference (receipt or transaction number) is required',
+      'any.required': 'Payment reference (receipt or transaction number) is required'
+    }),
+
+  note: Joi.string().allow('').max(500).optional(),
+
+  receivedAt: Joi.date()
+    .max('now')
     .optional()
     .messages({
-      'string.max': 'Notes cannot exceed 500 characters'
+      'date.max': 'Payment date cannot be in the future'
     })
 });
 
 /**
- * Validation schema for order query parameters
+ * Validation schema for updating several orders' status at once
  */
-const orderQuerySchema = Joi.object({
-  page: Joi.number()
-    .integer()
+export const bulkUpdateOrdersSchema = Joi.object({
+  orderIds: Joi.array()
+    .items(objectId())
     .min(1)
-    .default(1)
+    .required()
     .messages({
-      'number.base': 'Page must be a number',
-      'number.min': 'Page must be at least 1'
+      'array.min': 'No orders selected',
+      'any.required': 'No orders selected'
     }),
 
-  limit: Joi.number()
-    .integer()
-    .min(1)
-    .max(50)
-    .default(10)
+  status: Joi.string()
+    .invalid('paid')
+    .required()
     .messages({
-      'number.base': 'Limit must be a number',
-      'number.min': 'Limit must be at least 1',
-      'number.max': 'Limit cannot exceed 50'
-    }),
+      'string.empty': 'Status is required',
+      'any.invalid': 'Orders are marked paid by the payment gateway or by recording an offline payment'
+    })
+});
 
+/**
+ * Validation schema for a customer's return request
+ */
+export const requestReturnSchema = Joi.object({
+  reason: Joi.string()
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Please tell us why you want to return the order',
+      'string.max': 'Reason cannot exceed 1000 characters'
+    })
+});
+
+/**
+ * Validation schema for processing a return (admin)
+ */
+export const updateReturnStatusSchema = Joi.object({
   status: Joi.string()
-    .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
-    .optional()
+    .valid('Requested', 'Approved', 'Rejected', 'Completed')
+    .required()
     .messages({
-      'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled'
+      'any.only': 'Status must be one of: Requested, Approved, Rejected, Completed'
     }),
 
-  sortBy: Joi.string()
-    .valid('createdAt', 'totalAmount', 'status')
-    .default('createdAt')
+  reason: Joi.string().allow('').optional(),
+  adminNote: Joi.string().allow('').max(1000).optional(),
+  refundAmount: price.allow(null, '').optional()
+});
+
+/**
+ * Validation schema for a manual refund (admin)
+ */
+export const createRefundSchema = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .optional()
     .messages({
-      'any.only': 'Sort by must be one of: createdAt, totalAmount, status'
+      'number.base': 'Refund amount must be a number',
+      'number.positive': 'Refund amount must be more than 0'
     }),
 
-  sortOrder: Joi.string()
-    .valid('asc', 'desc')
-    .default('desc')
+  reason: Joi.string().allow('').max(500).optional()
+});
+
+/**
+ * Validation schema for updating an order's tracking (admin)
+ */
+export const updateTrackingSchema = Joi.object({
+  // Legacy spellings ('Out for delivery') are accepted; cancel, return and expiry have their own flows
+  status: Joi.string()
+    .required()
+    .custom((value, helpers) => (
+      MANUAL_STATUSES.includes(normalizeStatus(value)) ? value : helpers.error('any.only')
+    ))
     .messages({
-      'any.only': 'Sort order must be asc or desc'
-    })
+      'string.empty': 'Status is required',
+      'any.only': `Status must be one of: ${MANUAL_STATUSES.join(', ')}`
+    }),
+
+  message: Joi.string().allow('').max(500).optional(),
+  location: Joi.string().allow('').max(200).optional(),
+  trackingNumber: Joi.string().allow('').optional(),
+  courierPartner: Joi.string().allow('').optional(),
+  estimatedDelivery: Joi.date().allow(null, '').optional()
 });
 
-module.exports = {
-  createOrderSchema,
-  updateOrderStatusSchema,
-  orderQuerySchema
-};
+/**
+ * Validation schema for the admin order lists (orders, tracking, returns)
+ */
+export const orderListQuerySchema = Joi.object({
+  status: queryList(ORDER_STATUSES).optional(),
+  returnStatus: queryList(['None', 'Requested', 'Approved', 'Rejected', 'Completed']).optional(),
+  paymentMethod: Joi.string().trim().max(30).optional(),
+  isPaid: Joi.boolean().optional(),
+  customer: objectId().optional(),
+  from: Joi.date().optional(),
+  to: Joi.date().min(Joi.ref('from')).optional()
+    .messages({
+      'date.min': '"to" must be after "from"'
+    }),
+  minTotal: price.optional(),
+  maxTotal: price.min(Joi.ref('minTotal')).optional()
+    .messages({
+      'number.min': 'maxTotal must be at least minTotal'
+    }),
+
+  // Order ID (or its last characters), customer name/email, phone or tracking number
+  q: Joi.string().trim().allow('').max(100).optional(),
+
+  sort: Joi.string()
+    .valid(...Object.keys(ORDER_SORTS))
+    .optional()
+    .messages({
+      'any.only': `Sort must be one of: ${Object.keys(ORDER_SORTS).join(', ')}`
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.max': 'Limit cannot exceed 100'
+    }),
+
+  cursor: Joi.string().max(200).optional()
+});
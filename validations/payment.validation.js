@@ -0,0 +1,52 @@
+// Validation schemas for payment operations
+// Webhooks are not validated here: their bodies are checked against the gateway signature
+
+import Joi from 'joi';
+import { objectId } from './common.js';
+
+const orderId = objectId()
+  .required()
+  .messages({
+    'any.required': 'Order ID is required'
+  });
+
+/**
+ * Validation schema for starting a payment
+ */
+export const createPaymentSchema = Joi.object({
+  orderId
+});
+
+/**
+ * Validation schema for confirming a payment. Which fields are present depends on the gateway.
+ */
+export const verifyPaymentSchema = Joi.object({
+  orderId,
+
+  // Razorpay checkout
+  razorpay_order_id: Joi.string().optional(),
+  razorpay_payment_id: Joi.string().optional(),
+  razorpay_signature: Joi.string().optional(),
+
+  // Stripe
+  payment_intent_id: Joi.string().optional(),
+
+  // Mock gateway
+  gateway_order_id: Joi.string().optional(),
+  simulate_failure: Joi.boolean().optional()
+});
+
+/**
+ * Validation schema for reporting a failed payment from the checkout
+ */
+export const paymentFailureSchema = Joi.object({
+  orderId,
+  error: Joi.any().optional()
+});
+
+/**
+ * Validation schema for the payment status query
+ */
+export const paymentStatusQuerySchema = Joi.object({
+  live: Joi.string().valid('true', 'false').optional()
+});
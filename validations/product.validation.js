@@ -0,0 +1,230 @@
+// Validation schemas for product and review operations
+// Product forms are multipart, so numbers and booleans arrive as strings and are converted here
+
+import Joi from 'joi';
+import { objectId, pagination, queryList, stringOrArray, jsonArray, jsonArrayOf } from './common.js';
+import { PRODUCT_SORTS } from '../services/productSearch.js';
+
+/**
+ * Validation schema for the product listing query
+ */
+export const productQuerySchema = Joi.object({
+  ...pagination(),
+  category: Joi.string().allow('').optional(),
+  subcategory: Joi.string().allow('').optional(),
+  fields: Joi.string()
+    .pattern(/^[\w.,]+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Fields must be a comma separated list of field names'
+    })
+});
+
+/**
+ * Validation schema for the storefront search
+ */
+export const productSearchQuerySchema = Joi.object({
+  q: Joi.string().trim().allow('').max(100).optional(),
+  category: queryList().optional(),
+  fabric: queryList().optional(),
+  color: queryList().optional(),
+  size: queryList().optional(),
+  minPrice: Joi.number().min(0).optional(),
+  maxPrice: Joi.number()
+    .min(Joi.ref('minPrice'))
+    .optional()
+    .messages({
+      'number.min': 'maxPrice must be at least minPrice'
+    }),
+  inStock: Joi.boolean().optional(),
+
+  sort: Joi.string()
+    .valid(...Object.keys(PRODUCT_SORTS))
+    .optional()
+    .messages({
+      'any.only': `Sort must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .optional()
+    .messages({
+      'number.base': 'Page must be a number',
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .optional()
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
+
+/**
+ * A size × colour variant. Existing variants keep their _id so orders that
+ * reference them still resolve; images are URLs already uploaded for the product.
+ */
+const variantSchema = Joi.object({
+  _id: objectId().optional(),
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9._-]+$/)
+    .max(64)
+    .optional()
+    .messages({
+      'string.pattern.base': 'SKU may only contain letters, numbers, dots, dashes and underscores'
+    }),
+  size: Joi.string().trim().allow('').optional(),
+  color: Joi.string().trim().allow('').optional(),
+  countInStock: Joi.number()
+    .integer()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.base': 'Variant stock must be a number',
+      'number.min': 'Variant stock cannot be negative'
+    }),
+  price: Joi.number().min(0).allow(null).optional(),
+  images: Joi.array().items(Joi.string()).max(10).default([])
+});
+
+const variants = jsonArrayOf(variantSchema)
+  .max(100)
+  .unique((a, b) => (a.size || '') === (b.size || '') && (a.color || '') === (b.color || ''))
+  .unique('sku', { ignoreUndefined: true })
+  .messages({
+    'array.unique': 'Each size and colour combination and each SKU may only be listed once',
+    'array.max': 'A product can have at most 100 variants'
+  });
+
+const productFields = {
+  name: Joi.string().trim().max(200),
+  description: Joi.string().allow(''),
+  price: Joi.number()
+    .min(0)
+    .messages({
+      'number.base': 'Price must be a number',
+      'number.min': 'Price cannot be negative'
+    }),
+  originalPrice: Joi.number().min(0).allow(''),
+  category: Joi.string().trim(),
+  subcategory: Joi.string().allow(''),
+  sizes: stringOrArray(),
+  countInStock: Joi.number()
+    .integer()
+    .min(0)
+    .messages({
+      'number.base': 'Stock must be a number',
+      'number.min': 'Stock cannot be negative'
+    }),
+  inStock: Joi.boolean(),
+  weight: Joi.number()
+    .min(0)
+    .allow('')
+    .messages({
+      'number.base': 'Weight must be a number of grams',
+      'number.min': 'Weight cannot be negative'
+    }),
+  addOnItems: jsonArray(),
+  variants,
+  styleNo: Joi.string().allow(''),
+  designNo: Joi.string().allow(''),
+  color: Joi.string().allow(''),
+  fabric: Joi.string().allow(''),
+  work: Joi.string().allow(''),
+  packContains: Joi.string().allow(''),
+  manufacturedBy: Joi.string().allow(''),
+  productSpeciality: Joi.string().allow(''),
+  styleTips: Joi.string().allow(''),
+  fitTips: Joi.string().allow('')
+};
+
+/**
+ * Validation schema for creating a product
+ */
+export const createProductSchema = Joi.object({
+  ...productFields,
+  name: productFields.name.required().messages({ 'string.empty': 'Product name is required' }),
+  price: productFields.price.required(),
+  category: productFields.category.required().messages({ 'string.empty': 'Category is required' })
+});
+
+/**
+ * Validation schema for updating a product. images/video list the existing URLs to keep.
+ */
+export const updateProductSchema = Joi.object({
+  ...productFields,
+  images: stringOrArray(),
+  video: stringOrArray()
+});
+
+/**
+ * Validation schema for the public review listing query
+ */
+export const reviewQuerySchema = Joi.object({
+  ...pagination(50),
+  sort: Joi.string()
+    .valid('newest', 'oldest', 'highest', 'lowest')
+    .optional()
+    .messages({
+      'any.only': 'Sort must be one of: newest, oldest, highest, lowest'
+    })
+});
+
+/**
+ * Validation schema for writing a review
+ */
+export const createReviewSchema = Joi.object({
+  rating: Joi.number()
+    .integer()
+    .min(1)
+    .max(5)
+    .required()
+    .messages({
+      'number.base': 'Rating must be a whole number from 1 to 5',
+      'number.integer': 'Rating must be a whole number from 1 to 5',
+      'number.min': 'Rating must be a whole number from 1 to 5',
+      'number.max': 'Rating must be a whole number from 1 to 5',
+      'any.required': 'Rating is required'
+    }),
+
+  title: Joi.string().allow('').max(120).optional(),
+  comment: Joi.string().allow('').max(2000).optional()
+});
+
+/**
+ * Validation schema for the moderation queue query
+ */
+export const reviewModerationQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'hidden').optional()
+});
+
+/**
+ * Validation schema for approving or hiding a review
+ */
+export const updateReviewStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid('approved', 'hidden')
+    .required()
+    .messages({
+      'any.only': 'Status must be approved or hidden'
+    })
+});
+
+/**
+ * Validation schema for adding a product to the wishlist
+ */
+export const wishlistItemSchema = Joi.object({
+  productId: objectId()
+    .required()
+    .messages({
+      'any.required': 'Product ID is required'
+    })
+});
@@ -0,0 +1,110 @@
+// Validation schemas for shipping zones and the PIN code check
+// Rules that depend on the stored zone (rate slabs for the rate type) stay in
+// controllers/shipping.js, since an update is checked against the stored zone
+
+import Joi from 'joi';
+import { pinCode } from './common.js';
+
+const amount = Joi.number()
+  .min(0)
+  .messages({
+    'number.base': '{{#label}} must be a number',
+    'number.min': '{{#label}} cannot be negative'
+  });
+
+const days = Joi.number().integer().min(0).max(90);
+
+const rateSlab = Joi.object({
+  upTo: amount.required(),
+  price: amount.required()
+});
+
+const shippingZoneFields = {
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'Zone name is required'
+    }),
+
+  pinCodes: Joi.array().items(pinCode()).unique().max(5000),
+
+  pinPrefixes: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .pattern(/^[1-9][0-9]{0,4}$/)
+        .messages({
+          'string.pattern.base': 'PIN prefixes must be 1 to 5 digits, not starting with 0'
+        })
+    )
+    .unique()
+    .max(500),
+
+  states: Joi.array().items(Joi.string().trim().max(60)).unique((a, b) => a.toLowerCase() === b.toLowerCase()),
+
+  isServiceable: Joi.boolean(),
+
+  rateType: Joi.string()
+    .valid('flat', 'weight', 'value')
+    .messages({
+      'any.only': 'Rate type must be flat, weight or value'
+    }),
+
+  flatRate: amount,
+
+  rateSlabs: Joi.array()
+    .items(rateSlab)
+    .unique('upTo')
+    .max(50)
+    .messages({
+      'array.unique': 'Each rate slab needs a different upper limit'
+    }),
+
+  // Empty clears the threshold (never free)
+  freeShippingThreshold: amount.allow(null, ''),
+
+  codAvailable: Joi.boolean(),
+
+  deliveryDays: Joi.object({
+    min: days.required(),
+    max: days
+      .min(Joi.ref('min'))
+      .required()
+      .messages({
+        'number.min': 'Maximum delivery days cannot be less than the minimum'
+      })
+  }),
+
+  isActive: Joi.boolean()
+};
+
+/**
+ * Validation schema for creating a shipping zone
+ */
+export const createShippingZoneSchema = Joi.object({
+  ...shippingZoneFields,
+  name: shippingZoneFields.name
+    .required()
+    .messages({
+      'any.required': 'Zone name is required'
+    })
+});
+
+/**
+ * Validation schema for updating a shipping zone
+ */
+export const updateShippingZoneSchema = Joi.object(shippingZoneFields);
+
+/**
+ * Validation schema for GET /api/shipping/check
+ */
+export const shippingCheckQuerySchema = Joi.object({
+  pin: pinCode()
+    .required()
+    .messages({
+      'any.required': 'PIN code is required',
+      'string.empty': 'PIN code is required'
+    }),
+  state: Joi.string().trim().max(60).optional()
+});
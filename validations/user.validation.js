@@ -1,23 +1,45 @@
 // Validation schemas for user-related operations
 // Uses Joi for input validation to ensure data integrity
+// Used with middleware/validate.js; unknown fields are stripped, so each schema is also
+// the allow-list of fields a request may set
 
-const Joi = require('joi');
+import Joi from 'joi';
+import { ROLES } from '../config/permissions.js';
+import { pinCode, indianPhone } from './common.js';
+
+const phoneNumber = Joi.string()
+  .pattern(/^\+?[0-9]{10,13}$/)
+  .messages({
+    'string.pattern.base': 'Phone number must be 10 digits (optionally with country code)'
+  });
 
 /**
  * Validation schema for user registration
  */
-const registerSchema = Joi.object({
+export const registerSchema = Joi.object({
+  username: Joi.string()
+    .trim()
+    .min(3)
+    .max(30)
+    .required()
+    .messages({
+      'string.empty': 'Username is required',
+      'string.min': 'Username must be at least 3 characters long',
+      'string.max': 'Username cannot exceed 30 characters'
+    }),
+
   name: Joi.string()
+    .trim()
     .min(2)
     .max(50)
-    .required()
+    .optional()
     .messages({
-      'string.empty': 'Name is required',
       'string.min': 'Name must be at least 2 characters long',
       'string.max': 'Name cannot exceed 50 characters'
     }),
 
   email: Joi.string()
+    .trim()
     .email()
     .required()
     .messages({
@@ -33,24 +55,18 @@ const registerSchema = Joi.object({
       'string.min': 'Password must be at least 6 characters long'
     }),
 
-  phone: Joi.string()
-    .pattern(/^[0-9]{10}$/)
-    .optional()
-    .messages({
-      'string.pattern.base': 'Phone number must be 10 digits'
-    })
+  phoneNumber: phoneNumber.optional()
 });
 
 /**
  * Validation schema for user login
  */
-const loginSchema = Joi.object({
-  email: Joi.string()
-    .email()
+export const loginSchema = Joi.object({
+  username: Joi.string()
+    .trim()
     .required()
     .messages({
-      'string.empty': 'Email is required',
-      'string.email': 'Please provide a valid email address'
+      'string.empty': 'Username is required'
     }),
 
   password: Joi.string()
@@ -63,8 +79,9 @@ const loginSchema = Joi.object({
 /**
  * Validation schema for updating user profile
  */
-const updateProfileSchema = Joi.object({
+export const updateProfileSchema = Joi.object({
   name: Joi.string()
+    .trim()
     .min(2)
     .max(50)
     .optional()
@@ -73,26 +90,29 @@ const updateProfileSchema = Joi.object({
       'string.max': 'Name cannot exceed 50 characters'
     }),
 
-  phone: Joi.string()
-    .pattern(/^[0-9]{10}$/)
+  email: Joi.string()
+    .trim()
+    .email()
     .optional()
     .messages({
-      'string.pattern.base': 'Phone number must be 10 digits'
+      'string.email': 'Please provide a valid email address'
     }),
 
-  address: Joi.object({
-    street: Joi.string().optional(),
-    city: Joi.string().optional(),
-    state: Joi.string().optional(),
-    zipCode: Joi.string().optional(),
-    country: Joi.string().optional()
+  phoneNumber: phoneNumber.allow('').optional(),
+
+  notificationPreferences: Joi.object({
+    emailNotifications: Joi.boolean(),
+    orderAlerts: Joi.boolean(),
+    productAlerts: Joi.boolean(),
+    customerAlerts: Joi.boolean(),
+    lowStockAlerts: Joi.boolean()
   }).optional()
 });
 
 /**
  * Validation schema for changing password
  */
-const changePasswordSchema = Joi.object({
+export const changePasswordSchema = Joi.object({
   currentPassword: Joi.string()
     .required()
     .messages({
@@ -116,9 +136,197 @@ const changePasswordSchema = Joi.object({
     })
 });
 
-module.exports = {
-  registerSchema,
-  loginSchema,
-  updateProfileSchema,
-  changePasswordSchema
+/**
+ * Validation schema for changing a user's role (super admin only)
+ */
+export const updateRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid(...ROLES)
+    .required()
+    .messages({
+      'any.only': `Role must be one of: ${ROLES.join(', ')}`,
+      'string.empty': 'Role is required'
+    })
+});
+
+// Addresses in India (the default country) need a valid PIN code and mobile number
+const inIndia = Joi.string().valid('India', 'IN').insensitive();
+const localPart = (indian, other) => Joi.when('country', {
+  is: Joi.exist().not(inIndia),
+  then: other,
+  otherwise: indian
+});
+
+/**
+ * Validation schema for a saved address (PUT replaces the whole address)
+ */
+export const addressSchema = Joi.object({
+  label: Joi.string().trim().max(30).optional(),
+
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Name is required'
+    }),
+
+  phone: localPart(
+    indianPhone().required(),
+    Joi.string().trim().pattern(/^\+?[0-9\s\-()]{7,20}$/).required()
+  ).messages({
+    'string.empty': 'Phone number is required',
+    'any.required': 'Phone number is required'
+  }),
+
+  address: Joi.string()
+    .trim()
+    .max(300)
+    .required()
+    .messages({
+      'string.empty': 'Street address is required'
+    }),
+
+  city: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'City is required'
+    }),
+
+  state: Joi.string()
+    .trim()
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'State is required'
+    }),
+
+  postalCode: localPart(
+    pinCode().required(),
+    Joi.string().trim().max(12).required()
+  ).messages({
+    'string.empty': 'PIN code is required',
+    'any.required': 'PIN code is required'
+  }),
+
+  country: Joi.string().trim().max(60).optional(),
+  isDefault: Joi.boolean().optional()
+});
+
+const email = Joi.string()
+  .trim()
+  .email()
+  .messages({
+    'string.email': 'Please provide a valid email address'
+  });
+
+/**
+ * Validation schema for requesting a password reset link
+ */
+export const forgotPasswordSchema = Joi.object({
+  email: email
+    .required()
+    .messages({
+      'string.empty': 'Email is required'
+    })
+});
+
+/**
+ * Validation schema for setting a new password from a reset link
+ */
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Reset token is required'
+    }),
+
+  password: Joi.string()
+    .min(6)
+    .required()
+    .messages({
+      'string.empty': 'Password is required',
+      'string.min': 'Password must be at least 6 characters long'
+    })
+});
+
+/**
+ * Validation schema for confirming an email address
+ */
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Verification token is required'
+    })
+});
+
+// OTP login accepts a phone number (spaces/dashes allowed) or an email address
+const otpDestination = {
+  phoneNumber: Joi.string()
+    .pattern(/^\+?[0-9\s\-()]{10,20}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  email
 };
+
+/**
+ * Validation schema for requesting a login code
+ */
+export const otpRequestSchema = Joi.object(otpDestination)
+  .xor('phoneNumber', 'email')
+  .messages({
+    'object.missing': 'Phone number or email is required',
+    'object.xor': 'Send either a phone number or an email, not both'
+  });
+
+/**
+ * Validation schema for logging in with a code
+ */
+export const otpVerifySchema = Joi.object({
+  ...otpDestination,
+  code: Joi.string()
+    .pattern(/^[0-9]{4,8}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be numeric',
+      'string.empty': 'Code is required'
+    })
+})
+  .xor('phoneNumber', 'email')
+  .messages({
+    'object.missing': 'Phone number or email is required',
+    'object.xor': 'Send either a phone number or an email, not both'
+  });
+
+/**
+ * Validation schema for Google sign-in
+ */
+export const googleAuthSchema = Joi.object({
+  credential: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Google credential is required'
+    })
+});
+
+/**
+ * Validation schema for refreshing a session
+ */
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required'
+    })
+});
+
+/**
+ * Validation schema for logging out one device
+ */
+export const logoutSchema = Joi.object({
+  refreshToken: Joi.string().optional()
+});